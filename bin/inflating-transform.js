@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+const path = require("node:path")
+const { pipeline } = require("node:stream/promises")
+const { pathToFileURL } = require("node:url")
+const { parseArgs } = require("node:util")
+
+const InflatingTransform = require("../index")
+
+/*
+ * Runs stdin through an InflatingTransform to stdout, using the `inflate` and `burst`
+ * generators exported from a module.
+ *
+ * $ inflating-transform [options] <module>
+ */
+
+const USAGE = `Usage: inflating-transform [options] <module>
+
+Runs stdin through the inflate and burst generators exported from a module, to stdout.
+
+Options:
+  --input <framing>        How to split stdin into chunks: raw, lines or ndjson (default: raw)
+  --output <framing>       How to write values to stdout: raw, lines or ndjson (default: raw)
+  --export <name>          The export with the generators, if it isn't the module itself
+  --concurrency <n>        How many chunks to inflate at the same time (default: 1)
+  --high-water-mark <n>    The highWaterMark of the stream
+  -h, --help               Show this help
+`
+
+/**
+ * How chunks are read from stdin, or values are written to stdout.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const Framing = {
+	RAW: "raw",
+	LINES: "lines",
+	NDJSON: "ndjson"
+}
+
+/**
+ * Thrown when inflating a chunk fails, with which chunk it was.
+ */
+class RecordError extends Error {
+	/**
+	 * @param {number} record The number of the chunk, counting from one.
+	 * @param {Error} cause
+	 */
+	constructor(record, cause) {
+		super(`Record ${record} failed: ${cause.message}`, { cause })
+
+		this.name = "RecordError"
+		this.record = record
+	}
+}
+
+/**
+ * Thrown when the command line is invalid.
+ */
+class UsageError extends Error {
+	constructor(message) {
+		super(message)
+
+		this.name = "UsageError"
+	}
+}
+
+const main = async (argv) => {
+	const { values: flags, positionals } = parseArgs({
+		args: argv,
+		allowPositionals: true,
+		options: {
+			input: { type: "string", default: Framing.RAW },
+			output: { type: "string", default: Framing.RAW },
+			export: { type: "string" },
+			concurrency: { type: "string" },
+			"high-water-mark": { type: "string" },
+			help: { type: "boolean", short: "h" }
+		}
+	})
+
+	if (flags.help) {
+		return process.stdout.write(USAGE)
+	}
+
+	if (positionals.length !== 1) {
+		throw new UsageError("Expected the path of a module")
+	}
+
+	const input = toFraming("input", flags.input)
+	const output = toFraming("output", flags.output)
+	const generators = await loadGenerators(positionals[0], flags.export)
+
+	const stream = new InflatingTransform({
+		writableObjectMode: input !== Framing.RAW,
+		readableObjectMode: output !== Framing.RAW,
+		concurrency: toInteger("concurrency", flags.concurrency),
+		highWaterMark: toInteger("high-water-mark", flags["high-water-mark"]),
+		...numberRecords(generators)
+	})
+
+	const source = input === Framing.RAW ? process.stdin : process.stdin.setEncoding("utf8")
+	const frames = {
+		[Framing.RAW]: [],
+		[Framing.LINES]: [ splitLines ],
+		[Framing.NDJSON]: [ splitLines, parseJson ]
+	}
+	const formats = {
+		[Framing.RAW]: [],
+		[Framing.LINES]: [ formatLines ],
+		[Framing.NDJSON]: [ formatJson ]
+	}
+
+	await pipeline(source, ...frames[input], stream, ...formats[output], process.stdout)
+}
+
+/**
+ * @param {string} modulePath
+ * @param {string} [name] The name of the export with the generators.
+ * @returns {Promise<{ inflate: InflatingGenerator, burst?: BurstingGenerator }>}
+ */
+const loadGenerators = async (modulePath, name) => {
+	const loaded = await import(pathToFileURL(path.resolve(modulePath)).href)
+	const module = loaded.inflate ? loaded : loaded.default
+	const generators = name ? module && module[name] : module
+
+	if (!generators || typeof generators.inflate !== "function") {
+		throw new UsageError(`${modulePath} doesn't export an inflate generator`)
+	}
+
+	return generators
+}
+
+/**
+ * Wraps the inflate generator so that errors say which chunk failed.
+ *
+ * The generator is created when a chunk is written, so chunks are numbered in the order they
+ * were written, even when inflating concurrently.
+ *
+ * @param {{ inflate: InflatingGenerator, burst?: BurstingGenerator }} generators
+ * @returns {{ inflate: InflatingGenerator, burst?: BurstingGenerator }}
+ */
+const numberRecords = ({ inflate, burst }) => {
+	let records = 0
+
+	return {
+		inflate: function(chunk, encoding, context) {
+			return failWithRecord(++records, inflate.call(this, chunk, encoding, context))
+		},
+		...(burst ? { burst } : {})
+	}
+}
+
+/**
+ * @param {number} record
+ * @param {Generator|AsyncGenerator} generator
+ * @yields {InflatedData}
+ */
+async function* failWithRecord(record, generator) {
+	try {
+		return yield* generator
+	}
+	catch (e) {
+		throw new RecordError(record, e)
+	}
+}
+
+/**
+ * @param {AsyncIterable<string>} source
+ * @yields {string} Each line, without the line ending.
+ */
+async function* splitLines(source) {
+	let partial = ""
+
+	for await (const text of source) {
+		const lines = (partial + text).split("\n")
+
+		partial = lines.pop()
+
+		for (const line of lines) {
+			yield line.replace(/\r$/, "")
+		}
+	}
+
+	if (partial.length > 0) {
+		yield partial.replace(/\r$/, "")
+	}
+}
+
+/**
+ * @param {AsyncIterable<string>} source
+ * @yields {any} Each line parsed as JSON, skipping blank lines.
+ */
+async function* parseJson(source) {
+	let line = 0
+
+	for await (const text of source) {
+		line++
+
+		if (text.trim().length === 0) {
+			continue
+		}
+
+		try {
+			yield JSON.parse(text)
+		}
+		catch (e) {
+			throw new Error(`Line ${line} isn't valid JSON: ${e.message}`)
+		}
+	}
+}
+
+/**
+ * @param {AsyncIterable<any>} source
+ * @yields {string}
+ */
+async function* formatLines(source) {
+	for await (const value of source) {
+		yield `${value}\n`
+	}
+}
+
+/**
+ * @param {AsyncIterable<any>} source
+ * @yields {string}
+ */
+async function* formatJson(source) {
+	for await (const value of source) {
+		yield `${JSON.stringify(value)}\n`
+	}
+}
+
+// toFraming :: (String, String) -> Framing
+const toFraming = (flag, value) => {
+	if (!Object.values(Framing).includes(value)) {
+		throw new UsageError(`--${flag} must be one of ${Object.values(Framing).join(", ")}, got ${value}`)
+	}
+
+	return value
+}
+
+// toInteger :: (String, String?) -> Integer?
+const toInteger = (flag, value) => {
+	if (value === undefined) {
+		return undefined
+	}
+
+	const n = Number(value)
+
+	if (!Number.isInteger(n) || n < 0) {
+		throw new UsageError(`--${flag} must be a whole number, got ${value}`)
+	}
+
+	return n
+}
+
+main(process.argv.slice(2)).catch((e) => {
+	if (e.code === "EPIPE") {
+		// whatever was reading stdout has stopped, which isn't an error in a shell pipeline.
+		return
+	}
+
+	process.stderr.write(`inflating-transform: ${e.message}\n`)
+
+	if (e instanceof UsageError) {
+		process.stderr.write(`\n${USAGE}`)
+	}
+
+	process.exitCode = e instanceof UsageError ? 2 : 1
+})
@@ -0,0 +1,17 @@
+/*
+ * Helpers for streams which work on the bytes written to them.
+ */
+
+const EMPTY_BUFFER = Buffer.alloc(0)
+
+// concatRemainder :: (Buffer, Buffer) -> Buffer
+const concatRemainder = (remainder, bytes) =>
+	remainder.length === 0 ? bytes : Buffer.concat([ remainder, bytes ])
+
+// toBuffer :: (Buffer|String, BufferEncoding) -> Buffer
+const toBuffer = (chunk, encoding) =>
+	typeof chunk === "string" ? Buffer.from(chunk, encoding) : chunk
+
+module.exports.EMPTY_BUFFER = EMPTY_BUFFER
+module.exports.concatRemainder = concatRemainder
+module.exports.toBuffer = toBuffer
@@ -0,0 +1,342 @@
+const zlib = require("node:zlib")
+const InflatingTransform = require("./index")
+const { ErrorPolicy } = InflatingTransform
+const { EMPTY_BUFFER, concatRemainder, toBuffer } = require("./bytes")
+
+/*
+ * An InflatingTransform which decompresses the bytes written to it. It's exported by index.js
+ * too.
+ */
+
+/**
+ * @typedef {Object} DecompressingTransformOptions
+ * @extends InflatingTransformOptions
+ * @property {CompressionFormat} [format="auto"] How the bytes written to the stream are compressed.
+ * @property {number} [maxOutputBytes] The most bytes that can be decompressed.
+ * @property {number} [maxRatio] The most bytes that can be decompressed for each byte written.
+ */
+
+/**
+ * An InflatingTransform that decompresses the bytes written to it.
+ *
+ * The bytes can be gzip (including concatenated gzip members), deflate, raw deflate or brotli.
+ * By default the format is detected from the first bytes written. Gzip and deflate have
+ * headers to detect, but raw deflate and brotli don't, so anything else is decompressed as
+ * brotli. Set the option `format` to decompress raw deflate.
+ *
+ * The decompressed bytes are pushed in slices of at most the `readableHighWaterMark`. When the
+ * Readable buffer is full, decompression is paused until the stream is ready, so a small chunk
+ * that decompresses to a lot of data doesn't fill up memory. When the stream is flushed, the
+ * rest of the decompressed bytes are pushed before `*_burst`.
+ *
+ * To stop decompression bombs, the option `maxOutputBytes` limits how many bytes can be
+ * decompressed, and `maxRatio` limits how many bytes can be decompressed for each byte
+ * written. Going over either limit errors the stream with an `InflateLimitError`.
+ *
+ * As the bytes are decompressed in order, chunks can't be inflated concurrently, errors can't
+ * be skipped or retried, and the stream can't be resumed from a checkpoint.
+ */
+class DecompressingTransform extends InflatingTransform {
+	/**
+	 * @param {DecompressingTransformOptions} [opts]
+	 */
+	constructor(opts = {}) {
+		super({ maxChunkSize: true, ...opts })
+
+		if (this._concurrency > 1 || opts.worker !== undefined) {
+			throw new TypeError("Compressed bytes can't be decompressed concurrently")
+		}
+
+		if (this._errorPolicy.policy !== ErrorPolicy.FAIL || opts.resumeFrom !== undefined) {
+			throw new TypeError("Compressed bytes can't be decompressed from part way through")
+		}
+
+		if (opts.maxOutputBytes !== undefined && !(Number.isInteger(opts.maxOutputBytes) && opts.maxOutputBytes > 0)) {
+			throw new TypeError(`maxOutputBytes must be a positive integer, got ${opts.maxOutputBytes}`)
+		}
+
+		if (opts.maxRatio !== undefined && !(opts.maxRatio > 0)) {
+			throw new TypeError(`maxRatio must be a positive number, got ${opts.maxRatio}`)
+		}
+
+		this._format = toCompressionFormat(opts.format)
+		this._maxOutputBytes = opts.maxOutputBytes || Infinity
+		this._maxRatio = opts.maxRatio || Infinity
+
+		/** @type {Buffer} The bytes written that haven't been decompressed, until there are enough to detect the format. */
+		this._held = EMPTY_BUFFER
+
+		/** @type {zlib.Gunzip|zlib.Inflate|zlib.InflateRaw|zlib.BrotliDecompress|null} */
+		this._decompressor = null
+		this._decompressorError = null
+		this._decompressedBytes = 0
+
+		/** @type {(() => void)|null} Resumes decompressing, once the decompressor has done something. */
+		this._wake = null
+	}
+
+	/**
+	 * @override
+	 */
+	_flush(callback) {
+		// the end of the compressed bytes can still decompress to more bytes.
+		this._pushFinal(() => this._finish(), (err) => err ? callback(err) : super._flush(callback))
+	}
+
+	/**
+	 * @override
+	 */
+	_destroy(err, callback) {
+		if (this._decompressor) {
+			this._decompressor.destroy()
+		}
+
+		this._wakeUp()
+
+		super._destroy(err, callback)
+	}
+
+	/**
+	 * Decompresses a chunk, and yields the bytes decompressed from it.
+	 *
+	 * @override
+	 * @param {Buffer|string} chunk
+	 * @param {BufferEncoding|undefined} encoding
+	 * @yields {InflatedData<Buffer>}
+	 */
+	async *_inflate(chunk, encoding) {
+		this._held = concatRemainder(this._held, toBuffer(chunk, encoding))
+
+		if (this._decompressor === null && this._held.length < FORMAT_HEADER_LENGTH) {
+			// wait for enough bytes to detect the format.
+			return
+		}
+
+		yield* this._decompressHeld()
+	}
+
+	/**
+	 * Writes the held bytes to the decompressor, and yields the bytes decompressed from them.
+	 *
+	 * @yields {InflatedData<Buffer>}
+	 * @private
+	 */
+	async *_decompressHeld() {
+		const bytes = this._held
+
+		this._held = EMPTY_BUFFER
+
+		if (this._decompressor === null) {
+			this._decompressor = this._newDecompressor(bytes)
+		}
+
+		const decompressor = this._decompressor
+
+		yield* this._decompressed((done) => decompressor.write(bytes, () => done()))
+	}
+
+	/**
+	 * Ends the decompressor, and yields the rest of the decompressed bytes.
+	 *
+	 * @yields {InflatedData<Buffer>}
+	 * @private
+	 */
+	async *_finish() {
+		if (this._held.length > 0) {
+			// too few bytes were written to detect the format, but they're still compressed bytes.
+			yield* this._decompressHeld()
+		}
+
+		const decompressor = this._decompressor
+
+		if (decompressor === null) {
+			return
+		}
+
+		yield* this._decompressed((done) => {
+			decompressor.once("end", done)
+			decompressor.end()
+		})
+	}
+
+	/**
+	 * Yields the decompressed bytes, until the decompressor has finished with what it's been
+	 * given.
+	 *
+	 * @param {(done: () => void) => void} start Gives the decompressor something to do, and calls `done` when it's finished.
+	 * @yields {InflatedData<Buffer>}
+	 * @throws {InflateLimitError}
+	 * @private
+	 */
+	async *_decompressed(start) {
+		const decompressor = this._decompressor
+		let finished = false
+
+		start(() => {
+			finished = true
+			this._wakeUp()
+		})
+
+		while (!this.destroyed) {
+			for (let data = decompressor.read(); data !== null; data = decompressor.read()) {
+				this._checkLimits(data)
+
+				yield { chunk: data }
+			}
+
+			if (this._decompressorError) {
+				throw this._decompressorError
+			}
+
+			if (finished) {
+				return
+			}
+
+			await new Promise((resolve) => {
+				this._wake = resolve
+			})
+		}
+	}
+
+	/**
+	 * @param {Buffer} header The first bytes written.
+	 * @returns {zlib.Gunzip|zlib.Inflate|zlib.InflateRaw|zlib.BrotliDecompress}
+	 * @private
+	 */
+	_newDecompressor(header) {
+		const format = this._format === CompressionFormat.AUTO ? detectCompressionFormat(header) : this._format
+		const decompressor = newDecompressor(format, Math.max(this.readableHighWaterMark, zlib.constants.Z_MIN_CHUNK))
+
+		decompressor.on("readable", () => this._wakeUp())
+		decompressor.on("error", (err) => {
+			this._decompressorError = err
+			this._wakeUp()
+		})
+
+		return decompressor
+	}
+
+	/**
+	 * @param {Buffer} data Bytes about to be pushed.
+	 * @throws {InflateLimitError}
+	 * @private
+	 */
+	_checkLimits(data) {
+		this._decompressedBytes += data.length
+
+		if (this._decompressedBytes > this._maxOutputBytes) {
+			throw new InflateLimitError("maxOutputBytes", this._maxOutputBytes)
+		}
+
+		if (this._decompressedBytes > this._stats.bytesIn * this._maxRatio) {
+			throw new InflateLimitError("maxRatio", this._maxRatio)
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_wakeUp() {
+		const wake = this._wake
+
+		this._wake = null
+
+		if (wake) {
+			wake()
+		}
+	}
+}
+
+/**
+ * Thrown when a DecompressingTransform decompresses more than its limits allow.
+ */
+class InflateLimitError extends Error {
+	/**
+	 * @param {"maxOutputBytes"|"maxRatio"} limit Which limit was gone over.
+	 * @param {number} max
+	 */
+	constructor(limit, max) {
+		super(limit === "maxOutputBytes"
+			? `Decompressed more than the maxOutputBytes of ${max} bytes`
+			: `Decompressed more than the maxRatio of ${max} bytes for each byte written`)
+
+		this.name = "InflateLimitError"
+		this.limit = limit
+		this.max = max
+	}
+}
+
+/**
+ * How the bytes written to a DecompressingTransform are compressed.
+ *
+ * - `auto` detects gzip or deflate from the header, or else decompresses brotli.
+ * - `gzip` is one or more concatenated gzip members.
+ * - `deflate` is deflate with a zlib header.
+ * - `raw` is deflate without a header.
+ * - `brotli` is brotli.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const CompressionFormat = {
+	AUTO: "auto",
+	GZIP: "gzip",
+	DEFLATE: "deflate",
+	RAW: "raw",
+	BROTLI: "brotli"
+}
+
+/**
+ * How many bytes are needed to detect a compression format.
+ *
+ * @private
+ */
+const FORMAT_HEADER_LENGTH = 2
+
+// toCompressionFormat :: CompressionFormat? -> CompressionFormat
+const toCompressionFormat = (format = CompressionFormat.AUTO) => {
+	if (!Object.values(CompressionFormat).includes(format)) {
+		throw new TypeError(`format must be one of ${Object.values(CompressionFormat).join(", ")}, got ${format}`)
+	}
+
+	return format
+}
+
+// detectCompressionFormat :: Buffer -> CompressionFormat
+const detectCompressionFormat = (header) => {
+	if (header.length < FORMAT_HEADER_LENGTH) {
+		return CompressionFormat.BROTLI
+	}
+
+	if (header[0] === 0x1F && header[1] === 0x8B) {
+		return CompressionFormat.GZIP
+	}
+
+	// a zlib header uses the deflate method with a window of at most 32K, and is a multiple of 31.
+	if ((header[0] & 0x0F) === 8 && (header[0] >> 4) <= 7 && header.readUInt16BE(0) % 31 === 0) {
+		return CompressionFormat.DEFLATE
+	}
+
+	return CompressionFormat.BROTLI
+}
+
+// newDecompressor :: (CompressionFormat, Integer) -> Transform
+const newDecompressor = (format, chunkSize) => {
+	switch (format) {
+		case CompressionFormat.GZIP:
+			return zlib.createGunzip({ chunkSize })
+
+		case CompressionFormat.DEFLATE:
+			return zlib.createInflate({ chunkSize })
+
+		case CompressionFormat.RAW:
+			return zlib.createInflateRaw({ chunkSize })
+
+		default:
+			return zlib.createBrotliDecompress({ chunkSize })
+	}
+}
+
+module.exports.DecompressingTransform = DecompressingTransform
+module.exports.CompressionFormat = CompressionFormat
+module.exports.InflateLimitError = InflateLimitError
@@ -0,0 +1,273 @@
+const InflatingTransform = require("./index")
+const { EMPTY_BUFFER, concatRemainder, toBuffer } = require("./bytes")
+
+/*
+ * An InflatingTransform which splits the bytes written to it into frames, and inflates each
+ * frame. It's exported by index.js too.
+ */
+
+/**
+ * @template {any} B The output chunk type
+ *
+ * @function FrameInflatingGenerator
+ * @generator
+ * @param {Buffer} frame A complete frame, without its delimiter or length prefix.
+ * @param {GeneratorContext} context
+ * @yields {InflatedData<B>|Promise<InflatedData<B>>|NestedSource<B>} Data to be pushed to the Readable buffer
+ */
+
+/**
+ * @typedef {Object} FramingInflatingTransformOptions
+ * @extends InflatingTransformOptions
+ * @property {FrameInflatingGenerator} [inflateFrame] The generator to use to process each frame.
+ * @property {Framing} [framing="lines"] How the bytes written to the stream are split into frames.
+ * @property {string|Buffer} [delimiter] What frames are separated by, when framing by delimiter.
+ * @property {1|2|4} [lengthBytes=4] How many bytes the big-endian length before each frame takes, when framing by length prefix.
+ * @property {number} [maxFrameSize=1048576] The most bytes a frame can have.
+ */
+
+/**
+ * An InflatingTransform that splits the bytes written to it into frames, and inflates each
+ * frame.
+ *
+ * Frames are either lines, separated by a delimiter, or prefixed with their length. A frame
+ * can be split across written chunks, so the bytes after the last complete frame in a chunk
+ * are carried over to the next chunk. Each complete frame is given to the generator method
+ * `*_inflateFrame` (or the constructor option `inflateFrame`), and the values yielded for it are
+ * pushed before the next frame is inflated.
+ *
+ * `*_inflate` is given the complete frames in each chunk, so the error policy, lineage and
+ * checkpoints apply to the frames in a chunk as a whole. When the stream is flushed, a trailing
+ * line or delimited frame without a delimiter is inflated as one more chunk, before `*_burst`.
+ * A trailing partial length prefixed frame is an error.
+ *
+ * A frame larger than `maxFrameSize` errors the stream with an `InflateFrameSizeError`, as soon
+ * as the size is known, rather than carrying over more and more bytes waiting for the frame to
+ * end.
+ *
+ * Lines are separated by `\n`, with a trailing `\r` removed. Length prefixes are big-endian
+ * unsigned integers, and don't count themselves.
+ *
+ * @template {any} B The output chunk type
+ */
+class FramingInflatingTransform extends InflatingTransform {
+	/**
+	 * @param {FramingInflatingTransformOptions} opts
+	 */
+	constructor(opts) {
+		super(opts)
+
+		if (opts.inflateFrame) {
+			this._inflateFrame = opts.inflateFrame
+		}
+
+		if (this.writableObjectMode) {
+			throw new TypeError("framing can't be used in object mode")
+		}
+
+		if (opts.worker !== undefined) {
+			throw new TypeError("framing can't be used with a worker")
+		}
+
+		if (opts.maxFrameSize !== undefined && !(Number.isInteger(opts.maxFrameSize) && opts.maxFrameSize > 0)) {
+			throw new TypeError(`maxFrameSize must be a positive integer, got ${opts.maxFrameSize}`)
+		}
+
+		this._framing = toFramingOptions(opts)
+		this._maxFrameSize = opts.maxFrameSize || DEFAULT_MAX_FRAME_SIZE
+
+		/** @type {Buffer} The bytes after the last complete frame. */
+		this._remainder = EMPTY_BUFFER
+	}
+
+	/**
+	 * @override
+	 */
+	_transform(chunk, encoding, callback) {
+		const bytes = concatRemainder(this._remainder, toBuffer(chunk, encoding))
+		let complete = 0
+
+		for (const { start, end, next } of frameBoundaries(bytes, this._framing)) {
+			if (end - start > this._maxFrameSize) {
+				return callback(new InflateFrameSizeError(end - start, this._maxFrameSize))
+			}
+
+			complete = next
+		}
+
+		this._remainder = bytes.subarray(complete)
+
+		const pending = pendingFrameSize(this._remainder, this._framing)
+
+		if (pending > this._maxFrameSize) {
+			return callback(new InflateFrameSizeError(pending, this._maxFrameSize))
+		}
+
+		super._transform(bytes.subarray(0, complete), "buffer", callback)
+	}
+
+	/**
+	 * @override
+	 */
+	_flush(callback) {
+		const remainder = this._remainder
+
+		this._remainder = EMPTY_BUFFER
+
+		if (remainder.length === 0) {
+			return super._flush(callback)
+		}
+
+		if (this._framing.framing === Framing.LENGTH_PREFIXED) {
+			return callback(new Error(`Ended with a partial frame of ${remainder.length} bytes`))
+		}
+
+		// the trailing frame is ended by the delimiter it's missing.
+		super._transform(
+			Buffer.concat([ remainder, this._framing.delimiter ]),
+			"buffer",
+			(err) => err ? callback(err) : super._flush(callback)
+		)
+	}
+
+	/**
+	 * Inflates each complete frame in a chunk.
+	 *
+	 * @override
+	 * @param {Buffer} chunk The complete frames in a chunk.
+	 * @param {BufferEncoding|undefined} encoding
+	 * @param {GeneratorContext} context
+	 * @yields {NestedSource<B>}
+	 */
+	*_inflate(chunk, encoding, context) {
+		for (const { start, end } of frameBoundaries(chunk, this._framing)) {
+			yield this._inflateFrame(chunk.subarray(start, end), context)
+		}
+	}
+
+	/**
+	 * Generator method to create data from a frame.
+	 *
+	 * The default implementation throws an Error.
+	 *
+	 * @param {Buffer} frame A complete frame, without its delimiter or length prefix.
+	 * @param {GeneratorContext} context
+	 * @yields {InflatedData<B>|Promise<InflatedData<B>>|NestedSource<B>} A chunk of data
+	 */
+	// noinspection JSUnusedLocalSymbols
+	*_inflateFrame(frame, context) {
+		throw new Error("Unimplemented")
+	}
+}
+
+/**
+ * Thrown when a frame is larger than the maxFrameSize option allows.
+ */
+class InflateFrameSizeError extends Error {
+	/**
+	 * @param {number} size How many bytes the frame has, or at least has.
+	 * @param {number} maxFrameSize
+	 */
+	constructor(size, maxFrameSize) {
+		super(`Frame of ${size} bytes is larger than the maxFrameSize of ${maxFrameSize} bytes`)
+
+		this.name = "InflateFrameSizeError"
+		this.size = size
+		this.maxFrameSize = maxFrameSize
+	}
+}
+
+/**
+ * How the bytes written to a FramingInflatingTransform are split into frames.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const Framing = {
+	LINES: "lines",
+	DELIMITER: "delimiter",
+	LENGTH_PREFIXED: "lengthPrefixed"
+}
+
+const DEFAULT_MAX_FRAME_SIZE = 1024 * 1024
+
+const CARRIAGE_RETURN = 0x0D
+
+// toFramingOptions :: FramingInflatingTransformOptions -> { framing: Framing, delimiter: Buffer, lengthBytes: Integer }
+const toFramingOptions = ({ framing = Framing.LINES, delimiter, lengthBytes = 4 }) => {
+	switch (framing) {
+		case Framing.LINES:
+			return { framing, delimiter: Buffer.from("\n") }
+
+		case Framing.DELIMITER:
+			if (!((typeof delimiter === "string" || Buffer.isBuffer(delimiter)) && delimiter.length > 0)) {
+				throw new TypeError("delimiter must be a string or Buffer that isn't empty")
+			}
+
+			return { framing, delimiter: Buffer.from(delimiter) }
+
+		case Framing.LENGTH_PREFIXED:
+			if (![ 1, 2, 4 ].includes(lengthBytes)) {
+				throw new TypeError(`lengthBytes must be 1, 2 or 4, got ${lengthBytes}`)
+			}
+
+			return { framing, lengthBytes }
+
+		default:
+			throw new TypeError(`framing must be one of ${Object.values(Framing).join(", ")}, got ${framing}`)
+	}
+}
+
+/**
+ * Finds the complete frames in some bytes.
+ *
+ * @param {Buffer} bytes
+ * @param {{ framing: Framing, delimiter: Buffer, lengthBytes: number }} framing
+ * @yields {{ start: number, end: number, next: number }} Where a frame starts and ends, and where the frame after it starts.
+ * @private
+ */
+function* frameBoundaries(bytes, { framing, delimiter, lengthBytes }) {
+	if (framing === Framing.LENGTH_PREFIXED) {
+		for (let offset = 0; offset + lengthBytes <= bytes.length;) {
+			const start = offset + lengthBytes
+			const end = start + bytes.readUIntBE(offset, lengthBytes)
+
+			if (end > bytes.length) {
+				return
+			}
+
+			yield { start, end, next: end }
+
+			offset = end
+		}
+
+		return
+	}
+
+	for (let start = 0, end = bytes.indexOf(delimiter); end !== -1; end = bytes.indexOf(delimiter, start)) {
+		const next = end + delimiter.length
+
+		if (framing === Framing.LINES && end > start && bytes[end - 1] === CARRIAGE_RETURN) {
+			yield { start, end: end - 1, next }
+		}
+		else {
+			yield { start, end, next }
+		}
+
+		start = next
+	}
+}
+
+// pendingFrameSize :: (Buffer, { framing: Framing, lengthBytes: Integer }) -> Integer
+const pendingFrameSize = (remainder, { framing, lengthBytes }) => {
+	if (framing !== Framing.LENGTH_PREFIXED) {
+		return remainder.length
+	}
+
+	// the prefix says how big the frame will be, before all of it has been written.
+	return remainder.length >= lengthBytes ? remainder.readUIntBE(0, lengthBytes) : 0
+}
+
+module.exports.FramingInflatingTransform = FramingInflatingTransform
+module.exports.Framing = Framing
+module.exports.InflateFrameSizeError = InflateFrameSizeError
@@ -1,4 +1,10 @@
-const { Transform } = require("node:stream")
+const { Readable, Transform } = require("node:stream")
+const { ReadableStream, WritableStream } = require("node:stream/web")
+const diagnosticsChannel = require("node:diagnostics_channel")
+const fs = require("node:fs")
+const os = require("node:os")
+const path = require("node:path")
+const { Worker } = require("node:worker_threads")
 
 /**
  * @template {any} T
@@ -6,6 +12,22 @@ const { Transform } = require("node:stream")
  * @typedef {Object} InflatedData<T>
  * @property {T} chunk - The chunk to push to the Readable stream buffer
  * @property {BufferEncoding|undefined} encoding If the chunk is a string, then this is the encoding type. If chunk is a buffer, then this is the special value `'buffer'`. Else undefined
+ * @property {string} [output] The name of the output to push the chunk to, rather than the Readable side of the stream. The chunk must not be null.
+ */
+
+/**
+ * @typedef {Object} YieldStatus The value of a `yield` expression in a generator, which
+ * describes the Readable buffer after the yielded value was pushed.
+ * @property {boolean} full Whether the yielded value filled the buffer. If so, the generator is only resumed once the stream is ready for more data.
+ * @property {number} readableLength How much data is in the buffer.
+ * @property {number} highWaterMark How much data the buffer can hold.
+ * @property {number} waitedMs How many milliseconds were spent waiting to push the yielded value.
+ */
+
+/**
+ * @template {any} B The output chunk type
+ *
+ * @typedef {Readable|ReadableStream|AsyncIterable<InflatedData<B>>|Iterable<InflatedData<B>>} NestedSource<B> A source of data that is pushed to the Readable buffer before the generator is resumed.
  */
 
 /**
@@ -16,7 +38,8 @@ const { Transform } = require("node:stream")
  * @generator
  * @param {A} chunk A chunk of data written to the stream
  * @param {BufferEncoding|undefined} encoding If the chunk is a string, then this is the encoding type. If chunk is a buffer, then this is the special value `'buffer'`. Else undefined
- * @yields {InflatedData<B>|Promise<InflatedData<B>>} Data to be pushed to the Readable buffer
+ * @param {GeneratorContext} context
+ * @yields {InflatedData<B>|Promise<InflatedData<B>>|NestedSource<B>} Data to be pushed to the Readable buffer
  */
 
 /**
@@ -24,7 +47,29 @@ const { Transform } = require("node:stream")
  *
  * @function BurstingGenerator
  * @generator
- * @yields {InflatedData<B>|Promise<InflatedData<B>>|null} Data to be pushed to the Readable buffer. Should yield `null` to indicate that the stream is finished.
+ * @param {GeneratorContext} context
+ * @yields {InflatedData<B>|Promise<InflatedData<B>>|NestedSource<B>|null} Data to be pushed to the Readable buffer. Should yield `null` to indicate that the stream is finished.
+ */
+
+/**
+ * @template {any} B The output chunk type
+ *
+ * @function WindowBurstingGenerator
+ * @generator
+ * @param {WindowInfo} window The window that has ended.
+ * @param {GeneratorContext} context
+ * @yields {InflatedData<B>|Promise<InflatedData<B>>|NestedSource<B>} Data to be pushed to the Readable buffer. Must not yield `null`, as that would end the stream.
+ */
+
+/**
+ * @typedef {Object} Stage A step in a composed pipeline of generators.
+ * @property {InflatingGenerator} inflate Inflates each value yielded by the stage before it.
+ * @property {BurstingGenerator} [burst] Called when the stream is flushed, after the stages before it have burst.
+ */
+
+/**
+ * @typedef {Object} GeneratorContext
+ * @property {AbortSignal} signal Aborted when the stream is destroyed, or when the generator times out or fails. Use it to cancel any asynchronous work being done to produce a value.
  */
 
 /**
@@ -32,6 +77,216 @@ const { Transform } = require("node:stream")
  * @extends TransformOptions
  * @property {InflatingGenerator} [inflate] The generator to use to process chunks written to the stream.
  * @property {BurstingGenerator} [burst] The generator to use to when the stream is flushed.
+ * @property {WindowBurstingGenerator} [windowBurst] The generator to use at the end of each window.
+ * @property {WindowOptions} [window] Splits the chunks written to the stream into windows.
+ * @property {number} [concurrency=1] How many chunks can be inflated at the same time.
+ * @property {boolean} [ordered=true] Whether output from concurrently inflated chunks is pushed in the order the chunks were written, or as soon as it is yielded.
+ * @property {ErrorPolicy|ErrorPolicyOptions} [onError=fail] What to do when inflating a chunk fails.
+ * @property {number} [yieldTimeout] How many milliseconds to wait for a generator to yield a value.
+ * @property {number} [chunkTimeout] How many milliseconds a chunk can take to be inflated.
+ * @property {number} [burstTimeout] How many milliseconds the stream can take to burst, or to burst a window.
+ * @property {WatchdogOptions} [watchdog] Reports when a generator waits for too long.
+ * @property {boolean} [lineage=false] Records which chunk each value pushed came from.
+ * @property {boolean} [checkpoints=false] Emits `checkpoint` events which record how far through the input the stream has got.
+ * @property {Checkpoint} [resumeFrom] Skips the values pushed before a checkpoint.
+ * @property {RateLimitOptions} [rateLimit] Limits how fast values are pushed.
+ * @property {WorkerOptions} [worker] Runs the generators from a module in worker threads.
+ * @property {OverflowOptions} [overflow] Buffers values in memory and then on disk, rather than pausing generators, when the Readable buffer is full.
+ * @property {CoalesceOptions} [coalesce] Combines yielded values into larger chunks before they're pushed.
+ * @property {number|boolean} [maxChunkSize] The largest Buffer or string, in bytes, to push at once. Larger chunks are pushed in slices. If `true`, the Readable `highWaterMark` is used. Can't be used in object mode.
+ */
+
+/**
+ * @typedef {Object} ErrorPolicyOptions
+ * @property {ErrorPolicy} policy What to do when inflating a chunk fails.
+ * @property {number} [attempts=3] How many times to inflate a chunk, when retrying.
+ * @property {number|((attempt: number) => number)} [backoff=0] How many milliseconds to wait before retrying, or a function that is given the attempt that failed and returns how long to wait.
+ * @property {ErrorPolicy} [fallback=fail] What to do once all attempts have failed, when retrying.
+ * @property {Writable} [deadLetter] Where to write failures when using the dead letter policy. Must be in object mode. If it errors or closes, so does the stream. If not given, failures are emitted as `inflateError` events.
+ */
+
+/**
+ * @typedef {Object} InflateFailure A chunk that could not be inflated.
+ * @property {any} chunk The chunk written to the stream.
+ * @property {BufferEncoding|undefined} encoding The encoding of the chunk.
+ * @property {Error} error Why the chunk could not be inflated.
+ */
+
+/**
+ * @typedef {Object} WatchdogOptions
+ * @property {number} ms How many milliseconds a generator can wait before the stream is stalled.
+ * @property {boolean} [error=false] Whether to error the stream with an `InflateStallError` when it stalls.
+ */
+
+/**
+ * @typedef {Object} Stall Diagnostics about a stalled stream.
+ * @property {StallReason} waitingFor What the generator is waiting for.
+ * @property {Phase} phase Whether the generator is inflating a chunk or bursting.
+ * @property {number|undefined} chunkIndex The index of the chunk being inflated, in the order chunks were written. Undefined when bursting.
+ * @property {number} pushed How many values have been pushed for the chunk.
+ * @property {number} readableLength How much data is in the Readable buffer.
+ * @property {number} writableLength How much data is in the Writable buffer.
+ * @property {number} waitedMs How many milliseconds the generator has been waiting.
+ */
+
+/**
+ * @typedef {Object} PhaseStats Statistics about either inflating chunks, bursting windows, or bursting.
+ * @property {number} valuesPushed How many values have been pushed.
+ * @property {number} bytesOut How many bytes have been pushed. Values that aren't Buffers or strings count as zero bytes.
+ * @property {number} pauses How many times the Readable buffer was filled.
+ * @property {number} readyWaitMs How many milliseconds generators have spent waiting for the stream to be ready.
+ * @property {number} maxReadyWaitMs The longest a generator has waited for the stream to be ready.
+ * @property {number} promiseWaitMs How many milliseconds have been spent waiting for yielded Promises to settle.
+ * @property {number} rateLimitWaitMs How many milliseconds generators have spent waiting because of the rate limit.
+ */
+
+/**
+ * @typedef {Object} InflatingTransformStats
+ * @property {number} chunksWritten How many chunks have been written to the stream.
+ * @property {number} bytesIn How many bytes have been written. Chunks that aren't Buffers or strings count as zero bytes.
+ * @property {PhaseStats} inflate Statistics about inflating chunks.
+ * @property {PhaseStats} window Statistics about bursting windows.
+ * @property {PhaseStats} burst Statistics about bursting.
+ */
+
+/**
+ * @typedef {Object} Lineage Where a value pushed by the stream came from.
+ * @property {number|null} inputIndex The index of the chunk the value was inflated from, in the order chunks were written. Null for values from `*_windowBurst` and `*_burst`.
+ * @property {number} outputIndexWithinInput The index of the value in the values inflated from the chunk.
+ * @property {Phase} phase Whether the value was inflated from a chunk, from bursting a window, or from bursting.
+ */
+
+/**
+ * @template {any} B The output chunk type
+ *
+ * @typedef {Object} Traced<B> A value pushed in object mode, when the lineage option is enabled.
+ * @property {B} value The value yielded by the generator.
+ * @property {Lineage} lineage Where the value came from.
+ */
+
+/**
+ * @typedef {Object} Checkpoint How far through the input the stream has got.
+ * @property {number} inputIndex The index of the last chunk that everything has been pushed for, in the order chunks were written. -1 if there is no such chunk.
+ * @property {number} outputOffset How many values have been pushed for the next chunk.
+ */
+
+/**
+ * @typedef {Object} WorkerOptions
+ * @property {string} module The absolute path of a module with `inflate` and `burst` generator functions.
+ * @property {string} [export] The name of the export with the generator functions, if it isn't the module itself.
+ * @property {number} [poolSize] How many worker threads to run. Defaults to the concurrency.
+ */
+
+/**
+ * @typedef {Object} OverflowOptions
+ * @property {number} memory How many bytes to buffer in memory before writing to a temporary file.
+ * @property {number} maxBytes How many bytes can be buffered in total before the stream errors with an `InflateOverflowError`.
+ * @property {string} [dir=os.tmpdir()] Where to create temporary files.
+ */
+
+/**
+ * @typedef {Object} RateLimitOptions A token bucket which a value is pushed from.
+ * @property {number} [items] How many values can be pushed every `per` milliseconds. Either items or bytes must be given.
+ * @property {number} [bytes] How many bytes can be pushed every `per` milliseconds.
+ * @property {number} per How many milliseconds the limit is for.
+ * @property {number} [burst] How many values, or bytes, can be pushed at once before the limit applies. Defaults to the items or bytes.
+ */
+
+/**
+ * @typedef {Object} WindowOptions
+ * @property {number} [items] End the window once this many chunks have been written in it.
+ * @property {number} [ms] End the window once this many milliseconds have passed since the first chunk was written in it.
+ */
+
+/**
+ * @typedef {Object} WindowInfo A window of chunks written to the stream.
+ * @property {number} index The index of the window, in the order windows ended.
+ * @property {number} firstInputIndex The index of the first chunk in the window, in the order chunks were written.
+ * @property {number} items How many chunks were written in the window.
+ * @property {number} startedAt When the first chunk was written in the window, in milliseconds since the epoch.
+ * @property {number} endedAt When the window ended, in milliseconds since the epoch.
+ */
+
+/**
+ * @typedef {Object} CoalesceOptions
+ * @property {number} [bytes] Push once this many bytes have been yielded.
+ * @property {number} [items] Push once this many values have been yielded.
+ * @property {number} [ms] Push this many milliseconds after the first value was yielded.
+ */
+
+/**
+ * @template {any} B The output chunk type
+ *
+ * @typedef {Object} Output<B> Where a generator's values are pushed to.
+ * @property {(data: InflatedData<B>|null) => ReadableBufferStatus} push Pushes a value.
+ * @property {(fn: () => void) => void} whenReady Calls the function when more values can be pushed.
+ * @property {() => boolean} isBlocked Whether values can't be pushed until the Output is ready.
+ * @private
+ */
+
+/**
+ * @typedef {Object} NamedOutput A Readable that values are routed to by name.
+ * @property {Readable} readable
+ * @property {boolean} full Whether the Readable buffer is full.
+ * @property {Output} output Pushes to the Readable.
+ * @private
+ */
+
+/**
+ * @typedef {Object} OverflowFile A temporary file that chunks are overflowed to.
+ * @property {string|null} dir The directory the file is in, once it has been created.
+ * @property {fs.promises.FileHandle|null} handle The open file, once it has been opened.
+ * @property {number} written How many bytes have been queued to be written.
+ * @property {number} read How many bytes have been read back.
+ * @property {boolean} reading Whether a chunk is being read back.
+ * @property {Promise<void>} io Settles once everything queued with the file is done.
+ * @private
+ */
+
+/**
+ * @typedef {Object} PushState State about pushing the values from a generator.
+ * @property {Generator|AsyncGenerator} generator
+ * @property {Output} output
+ * @property {Task} task What the generator is doing.
+ * @property {YieldStatus|undefined} status Given to the generator when it is next resumed.
+ * @property {number} waitedMs How long the generator has waited to push the current value.
+ * @property {TransformCallback} callback Called with an error if the generator throws.
+ * @property {() => NextFunction|null} done Called when the generator has finished.
+ * @private
+ */
+
+/**
+ * @template {any} A The input chunk type
+ *
+ * @typedef {Object} Input<A> A chunk written to the stream.
+ * @property {A} chunk
+ * @property {BufferEncoding|undefined} encoding
+ * @property {number} index The index of the chunk in the order chunks were written.
+ * @private
+ */
+
+/**
+ * @typedef {Object} Task A chunk being inflated, or a window or the stream being burst.
+ * @property {Phase} phase
+ * @property {any} [chunk] The chunk being inflated.
+ * @property {BufferEncoding} [encoding] The encoding of the chunk.
+ * @property {number} [index] The index of the chunk in the order chunks were written.
+ * @property {number} skip How many values to skip, as they were pushed before the stream was resumed from a checkpoint.
+ * @property {number} pushed How many values have been pushed.
+ * @property {boolean} cancelled Whether the task has been cancelled, so nothing more should be pushed.
+ * @property {AbortController} abortController Aborts the signal given to the generator.
+ * @private
+ */
+
+/**
+ * @typedef {Object} Lane A chunk being inflated concurrently with other chunks.
+ * @property {Input} input The chunk being inflated.
+ * @property {boolean} head Whether the lane is pushing directly to the Readable stream.
+ * @property {Array<InflatedData|null>} buffer Values waiting for the lanes ahead to finish.
+ * @property {number} bufferedLength How much of the Readable stream buffer the buffered values would take up.
+ * @property {(() => void)|null} resume Resumes the generator when the lane was paused.
+ * @property {boolean} done Whether the generator has finished.
+ * @private
  */
 
 /**
@@ -80,6 +335,26 @@ const { Transform } = require("node:stream")
  * The class will wait for the Promise to resolve before pushing the value. If the Promise
  * rejects, the error will be passed to the transform callback function.
  *
+ * A single large Buffer or string yielded by a generator would fill the Readable buffer in one
+ * go. The constructor option `maxChunkSize` splits large chunks into slices, with each slice
+ * being pushed as the stream is ready for more data. Strings are split on character boundaries.
+ * Slicing can't be used in object mode.
+ *
+ * Conversely, generators that yield many small values can be slow as each value is pushed
+ * separately. The constructor option `coalesce` combines values into larger chunks, which are
+ * pushed once enough bytes or values have been yielded, or after some time. Anything still
+ * being coalesced is pushed when the stream is flushed. In object mode, values are combined
+ * into arrays.
+ *
+ * Generators can also yield a Readable stream, an async iterable or an iterable of
+ * `InflatedData`. The data from it is pushed, pausing when the Readable buffer is full, before
+ * the generator is resumed. Errors from the yielded source are passed to the transform
+ * callback function.
+ *
+ * The value of each `yield` expression in a generator is a `YieldStatus`, which describes the
+ * Readable buffer after the yielded value was pushed. Generators that page through data can
+ * use it to decide how much data to fetch next.
+ *
  * Subclasses can override the `_transform` implementation if necessary. However, if `push`
  * returns false, subclasses should wait for the `ready` event before pushing more data. They
  * should defer calling the callback passed to the `_transform` method until after they have
@@ -91,6 +366,103 @@ const { Transform } = require("node:stream")
  * The default implementation of `*_burst` simply yields `null`. Subclasses may override
  * `*_burst`, or provide it via the constructor option `burst`.
  *
+ * By default, an error inflating a chunk errors the stream. The constructor option `onError`
+ * can instead skip the chunk, retry inflating the chunk, or send the chunk and the error to a
+ * dead letter Writable (or emit them as an `inflateError` event), so that the rest of the
+ * stream keeps flowing. Errors from `*_burst` always error the stream. Values yielded before a
+ * chunk fails can't be taken back once they've been pushed, so whatever the policy, and
+ * whether or not chunks are inflated concurrently, they're pushed as if the chunk hadn't failed.
+ *
+ * So that a hung Promise doesn't stall the stream forever, the constructor options
+ * `yieldTimeout`, `chunkTimeout` and `burstTimeout` limit how long to wait for a generator to
+ * yield a value, to inflate a chunk, and to burst respectively. The time to inflate a chunk
+ * includes waiting for the Readable buffer to be ready. When a timeout elapses, the `signal`
+ * given to the generator is aborted, the generator is closed, and an `InflateTimeoutError` is
+ * handled like any other error from the generator. An async generator waiting on a Promise
+ * can only be closed once the Promise settles, so that work should be cancelled with the
+ * `signal`.
+ *
+ * When the downstream consumer stops reading, generators wait for the `ready` event without
+ * complaint. The constructor option `watchdog` emits a `stall` event, with diagnostics about
+ * what the stream is doing, when a generator waits longer than a given time for the `ready`
+ * event or for a yielded Promise. The watchdog can also error the stream with an
+ * `InflateStallError`.
+ *
+ * To see how much a stream inflates its data, and how long it spends paused, the `stats` method
+ * returns counts of the chunks written, values pushed, bytes in and out, how many times the
+ * Readable buffer was filled, and how long was spent waiting for the `ready` event and for
+ * yielded Promises. The same information is published to `node:diagnostics_channel` channels
+ * (see `ChannelName`) for any subscribers.
+ *
+ * To trace which chunk a value came from, the constructor option `lineage` records the
+ * `Lineage` of every value pushed. In object mode, each value is pushed as an object with the
+ * yielded `value` and its `lineage`. Otherwise, a `lineage` event is emitted just before each
+ * value is pushed.
+ *
+ * So that a long running job can be restarted where it stopped, the constructor option
+ * `checkpoints` emits `checkpoint` events recording the last chunk that everything has been
+ * pushed for, and how many values have been pushed for the next chunk. Checkpoints are taken
+ * when a chunk has been inflated, and when the Readable buffer is full, and are emitted once the
+ * values pushed before them have been read from the stream. Giving the last
+ * checkpoint to the constructor option `resumeFrom` of a new stream, which is written the same
+ * chunks, skips the chunks before the checkpoint without inflating them, and skips the values
+ * already pushed for the next chunk. Checkpoints can't be used when output is unordered.
+ *
+ * Generators that use a lot of CPU, such as for decompressing or rendering, block the event
+ * loop. The constructor option `worker` runs the `inflate` and `burst` generator functions
+ * exported from a `module` in a pool of `poolSize` worker threads, one chunk per thread at a
+ * time, so set `concurrency` to use more than one. Values are posted back from the worker as
+ * they're yielded, and Buffers which have an ArrayBuffer to themselves are transferred rather
+ * than copied. A worker isn't resumed until its value has been pushed, so workers are paused
+ * along with the stream. Errors thrown in the worker are handled like any other error from
+ * inflating a chunk. As each worker only sees the chunks it inflated, `burst` is run in each
+ * worker, one after the other.
+ *
+ * So that one generator can produce several kinds of output, such as records, audit events
+ * and rejects, a generator can yield values with the name of an `output`. These are pushed to
+ * the Readable returned from `output(name)`, rather than the Readable side of the stream. Each
+ * output has its own buffer, and a generator is paused when the output it yields to is full.
+ * Values are pushed to outputs as they're yielded, even when inflating concurrently. Outputs
+ * end when the stream is flushed, and are destroyed when the stream is.
+ *
+ * Some sources ignore `write` returning false, so chunks queue up in the Writable buffer while
+ * generators wait for the `ready` event. For these, the constructor option `overflow` stops
+ * generators from being paused. Instead, values that don't fit in the Readable buffer are kept
+ * in memory, up to `memory` bytes, and then appended to a temporary file, and are pushed in
+ * order as the stream is read. If more than `maxBytes` bytes are waiting to be pushed, the
+ * stream errors with an `InflateOverflowError`. The file is written and read asynchronously, and
+ * is removed once it has been read, or before the stream closes when it's destroyed.
+ * Overflowing can't be used in object mode.
+ *
+ * To limit how fast values are pushed, regardless of how fast they're read, the constructor
+ * option `rateLimit` is a token bucket which allows `items` values, or `bytes` bytes, to be
+ * pushed every `per` milliseconds, with up to `burst` pushed at once. A generator that yields a
+ * value when there aren't enough tokens isn't resumed until there are, using a timer, so the
+ * event loop isn't blocked. When inflating concurrently, tokens are taken as values are
+ * yielded.
+ *
+ * To emit values part way through the stream, such as a summary of every thousand chunks or of
+ * every minute, the constructor option `window` splits the chunks written to the stream into
+ * windows of `items` chunks, or of `ms` milliseconds. When a window ends, the generator method
+ * `*_windowBurst` (or the constructor option `windowBurst`) is given the `WindowInfo` for the
+ * window, and its values are pushed with the same backpressure as `*_burst`. Windows end
+ * between chunks, so a time window ends when the next chunk is written after it has expired.
+ * The last window ends when the stream is flushed, before `*_burst`.
+ *
+ * If the stream is destroyed while a generator is still producing data, the generator is
+ * closed via `return`, so any `finally` blocks in it are run. As a generator may be waiting
+ * on asynchronous work when that happens, generators are given an `AbortSignal` which is
+ * aborted when the stream is destroyed.
+ *
+ * When each chunk needs asynchronous work (for example, looking up records over the network),
+ * the constructor option `concurrency` allows up to that many chunks to be inflated at the same
+ * time. Values from later chunks are buffered until the chunks before them have finished, so
+ * the output is still in the same order as the input.
+ *
+ * If the order doesn't matter, set the option `ordered` to `false` and values are pushed as
+ * soon as they are yielded. When the Readable stream buffer is full, every generator is paused
+ * until the `ready` event.
+ *
  * [1]: https://nodejs.org/docs/latest-v18.x/api/stream.html#readablepushchunk-encoding
  * [2]: https://nodejs.org/docs/latest-v18.x/api/stream.html#readable_readsize
  * [3]: https://nodejs.org/docs/latest-v18.x/api/stream.html#transform_transformchunk-encoding-callback
@@ -112,20 +484,252 @@ class InflatingTransform extends Transform {
 		if (opts.burst) {
 			this._burst = opts.burst
 		}
+
+		if (opts.windowBurst) {
+			this._windowBurst = opts.windowBurst
+		}
+
+		if (opts.concurrency !== undefined && !(Number.isInteger(opts.concurrency) && opts.concurrency > 0)) {
+			throw new TypeError(`concurrency must be a positive integer, got ${opts.concurrency}`)
+		}
+
+		if (opts.maxChunkSize !== undefined && typeof opts.maxChunkSize !== "boolean" &&
+				!(Number.isInteger(opts.maxChunkSize) && opts.maxChunkSize >= MIN_CHUNK_SIZE)) {
+			throw new TypeError(`maxChunkSize must be a boolean or an integer of at least ${MIN_CHUNK_SIZE}, got ${opts.maxChunkSize}`)
+		}
+
+		if (opts.watchdog !== undefined && !(opts.watchdog && opts.watchdog.ms > 0)) {
+			throw new TypeError("watchdog must be an object with a positive ms")
+		}
+
+		if (opts.checkpoints && opts.ordered === false) {
+			throw new TypeError("checkpoints can't be used when output is unordered")
+		}
+
+		if (opts.resumeFrom !== undefined && !isCheckpoint(opts.resumeFrom)) {
+			throw new TypeError("resumeFrom must be a checkpoint with an inputIndex and outputOffset")
+		}
+
+		if (opts.worker !== undefined && !isWorkerOptions(opts.worker)) {
+			throw new TypeError("worker must be an object with a module path, and a positive integer poolSize")
+		}
+
+		if (opts.overflow !== undefined && !isOverflowOptions(opts.overflow)) {
+			throw new TypeError("overflow must be an object with a memory of at least 0, and a positive maxBytes of at least the memory")
+		}
+
+		if (opts.overflow !== undefined && this.readableObjectMode) {
+			throw new TypeError("overflow can't be used in object mode")
+		}
+
+		if (opts.maxChunkSize && this.readableObjectMode) {
+			// the highWaterMark counts values rather than bytes.
+			throw new TypeError("maxChunkSize can't be used in object mode")
+		}
+
+		if (opts.rateLimit !== undefined && !isRateLimitOptions(opts.rateLimit)) {
+			throw new TypeError("rateLimit must be an object with positive items or bytes, and positive per")
+		}
+
+		if (opts.window !== undefined && !isWindowOptions(opts.window)) {
+			throw new TypeError("window must be an object with positive items or ms")
+		}
+
+		if (opts.coalesce !== undefined && !isCoalesceOptions(opts.coalesce)) {
+			throw new TypeError("coalesce must be an object with positive bytes, items or ms")
+		}
+
+		this._concurrency = opts.concurrency || 1
+		this._workerPool = opts.worker ? newWorkerPool(opts.worker, opts.worker.poolSize || this._concurrency) : null
+
+		if (this._workerPool) {
+			this._inflate = this._workerPool.inflate
+			this._burst = this._workerPool.burst
+		}
+
+		this._errorPolicy = toErrorPolicy(opts.onError)
+
+		if (this._errorPolicy.deadLetter && !this._errorPolicy.deadLetter.writableObjectMode) {
+			throw new TypeError("deadLetter must be a Writable in object mode")
+		}
+		this._timeouts = {
+			[Timeout.YIELD]: opts.yieldTimeout,
+			[Timeout.CHUNK]: opts.chunkTimeout,
+			[Timeout.BURST]: opts.burstTimeout
+		}
+		this._timers = new Set()
+		this._watchdog = opts.watchdog || null
+		this._lineage = opts.lineage === true
+		this._checkpoints = opts.checkpoints === true
+		this._resumeFrom = opts.resumeFrom || null
+
+		/** @type {Checkpoint} */
+		this._checkpoint = this._resumeFrom ? { ...this._resumeFrom } : { inputIndex: -1, outputOffset: 0 }
+
+		/** @type {{ checkpoint: Checkpoint, position: number }[]} The checkpoints waiting for values before them to be read. */
+		this._pendingCheckpoints = []
+
+		/** How much has been pushed to the Readable buffer, in its own units. */
+		this._pushedLength = 0
+
+		this._stats = {
+			chunksWritten: 0,
+			bytesIn: 0,
+			[Phase.INFLATE]: newPhaseStats(),
+			[Phase.WINDOW]: newPhaseStats(),
+			[Phase.BURST]: newPhaseStats()
+		}
+		this._ordered = opts.ordered !== false
+		this._readableBufferFull = false
+		this._maxChunkSize = opts.maxChunkSize === true
+			? Math.max(this.readableHighWaterMark, MIN_CHUNK_SIZE)
+			: (opts.maxChunkSize || Infinity)
+
+		this._overflow = opts.overflow || null
+		this._overflowed = newOverflowed()
+		this._rateLimit = opts.rateLimit || null
+
+		/** @type {Map<string, NamedOutput>} */
+		this._outputs = new Map()
+
+		if (this._checkpoints) {
+			// everything has been read once the stream ends.
+			this.once("end", () => this._emitReadCheckpoints())
+		}
+
+		/** @type {{ available: number, refilledAt: number }} The tokens in the rate limit bucket. */
+		this._tokens = { available: this._rateLimit ? bucketCapacity(this._rateLimit) : 0, refilledAt: Date.now() }
+		this._window = opts.window || null
+		this._currentWindow = newWindow(0)
+		this._coalesce = opts.coalesce || null
+
+		/** @type {{ values: InflatedData[], bytes: number, timer: NodeJS.Timeout|null, checkpoints: Checkpoint[] }} */
+		this._coalesced = newCoalesced()
+		this._abortController = new AbortController()
+		this._generators = new Set()
+		this._readyListeners = new Set()
+
+		/** @type {Lane[]} */
+		this._lanes = []
+		this._laneCallback = null
+
+		/** @type {TransformCallback|null} Called once all lanes have been drained. */
+		this._drainCallback = null
 	}
 
 	/**
 	 * @override
 	 */
 	_transform(chunk, encoding, callback) {
-		this._push(() => this._inflate(chunk, encoding), callback)
+		const input = this._input(chunk, encoding)
+
+		if (this._alreadyInflated(input)) {
+			return callback()
+		}
+
+		if (this._windowEnded()) {
+			return this._burstWindow((err) => err ? callback(err) : this._transformInput(input, callback))
+		}
+
+		this._transformInput(input, callback)
+	}
+
+	/**
+	 * @param {Input<A>} input
+	 * @param {TransformCallback} callback
+	 * @private
+	 */
+	_transformInput(input, callback) {
+		this._addToWindow(input)
+
+		if (this._concurrency > 1) {
+			return this._transformConcurrently(input, callback)
+		}
+
+		this._inflateChunk(input, (err) => {
+			if (!err) {
+				this._chunkCompleted(input)
+			}
+
+			callback(err)
+		})
 	}
 
 	/**
 	 * @override
 	 */
 	_flush(callback) {
-		this._push(() => this._burst(), callback)
+		if (this._lanes.length > 0) {
+			// chunks are still being inflated concurrently, so burst once they're done.
+			this._drainCallback = (err) => err ? callback(err) : this._flush(callback)
+
+			return
+		}
+
+		if (this._currentWindow.items > 0 && this._window) {
+			// the last window ends when the stream does.
+			return this._burstWindow((err) => err ? callback(err) : this._flush(callback))
+		}
+
+		this._push(
+			(context) => this._burst(context),
+			(err) => {
+				if (err) {
+					return callback(err)
+				}
+
+				// push anything still being coalesced, or overflowed, before the stream ends.
+				this._pushCoalesced()
+				this._whenOverflowDrained(() => {
+					this._outputs.forEach(({ readable }) => readable.push(null))
+
+					callback()
+				})
+			},
+			this._readableOutput(),
+			this._task(Phase.BURST)
+		)
+	}
+
+	/**
+	 * @override
+	 */
+	_destroy(err, callback) {
+		this._readyListeners.forEach((listener) => this.removeListener("ready", listener))
+		this._readyListeners.clear()
+
+		if (err) {
+			this._abortController.abort(err)
+		}
+		else {
+			this._abortController.abort()
+		}
+
+		this._generators.forEach(closeGenerator)
+		this._generators.clear()
+		this._lanes = []
+
+		this._outputs.forEach(({ readable }) => readable.destroy(err))
+
+		if (this._workerPool) {
+			this._workerPool.terminate()
+		}
+
+		this._timers.forEach(clearTimeout)
+		this._timers.clear()
+
+		clearTimeout(this._coalesced.timer)
+		this._coalesced = newCoalesced()
+
+		const { file, removing } = this._overflowed
+		this._overflowed = newOverflowed()
+
+		if (file === null && removing === null) {
+			return super._destroy(err, callback)
+		}
+
+		// the stream closes once the temporary file has gone.
+		Promise.all([ removing, file && this._removeOverflowFile(file) ]).then(() => super._destroy(err, callback))
 	}
 
 	/**
@@ -151,6 +755,16 @@ class InflatingTransform extends Transform {
 		 * resume. However, if the superclass isn't called **after** the `_transform` callback
 		 * has been called, the Writable effectively won't resume at all.
 		 */
+		this._readableBufferFull = false
+
+		if (this._checkpoints) {
+			this._emitReadCheckpoints()
+		}
+
+		if (this._overflow) {
+			this._drainOverflow()
+		}
+
 		this.emit("ready")
 
 		super._read(size)
@@ -163,10 +777,11 @@ class InflatingTransform extends Transform {
 	 *
 	 * @param {A} chunk - The chunk to process
 	 * @param encoding {BufferEncoding|undefined} If the chunk is a string, then this is the encoding type. If chunk is a buffer, then this is the special value `'buffer'`. Else undefined
-	 * @yields {InflatedData<B>|Promise<InflatedData<B>>} A chunk of data
+	 * @param {GeneratorContext} context
+	 * @yields {InflatedData<B>|Promise<InflatedData<B>>|NestedSource<B>} A chunk of data
 	 */
 	// noinspection JSUnusedLocalSymbols
-	*_inflate(chunk, encoding) {
+	*_inflate(chunk, encoding, context) {
 		throw new Error("Unimplemented")
 	}
 
@@ -175,188 +790,2842 @@ class InflatingTransform extends Transform {
 	 *
 	 * By default, yields null.
 	 *
-	 * @yields {InflatedData<B>|Promise<InflatedData<B>>|null} A chunk of data
+	 * @param {GeneratorContext} context
+	 * @yields {InflatedData<B>|Promise<InflatedData<B>>|NestedSource<B>|null} A chunk of data
 	 */
-	*_burst() {
+	// noinspection JSUnusedLocalSymbols
+	*_burst(context) {
 		yield null
 	}
 
 	/**
-	 * Pushes values from a generator to the Readable stream.
+	 * Generator method that is called at the end of each window, before the next chunk is
+	 * inflated.
 	 *
-	 * Handles any errors thrown when creating a generator.
+	 * By default, yields nothing.
 	 *
-	 * @param {() => Generator<A, InflatedData<B>|Promise<InflatedData<B>>|AsyncGenerator<A, InflatedData<B>>|null>} factory Creates a generator
-	 * @param {TransformCallback} callback
+	 * @param {WindowInfo} window The window that has ended.
+	 * @param {GeneratorContext} context
+	 * @yields {InflatedData<B>|Promise<InflatedData<B>>|NestedSource<B>} A chunk of data
+	 */
+	// noinspection JSUnusedLocalSymbols
+	*_windowBurst(window, context) {
+	}
+
+	/**
+	 * @returns {boolean} Whether the current window has ended.
 	 * @private
 	 */
-	_push(factory, callback) {
-		let generator;
+	_windowEnded() {
+		const { items, startedAt } = this._currentWindow
 
-		try {
-			// we only want to catch errors thrown when creating the generator
-			generator = factory();
-		}
-		catch (e) {
-			return callback(e)
+		if (this._window === null || items === 0) {
+			return false
 		}
 
-		this._resumePushing(() => this._pushNextValue(generator, callback))
+		return (this._window.items !== undefined && items >= this._window.items) ||
+			(this._window.ms !== undefined && Date.now() - startedAt >= this._window.ms)
 	}
 
 	/**
-	 * Resumes pushing from a continuation.
-	 *
-	 * Continuations are used to encapsulate execution state about what to "do next" as data is
-	 * pushed through the stream. This allows synchronous and asynchronous work
-	 * (both with promises and events) to be done by the stream as the "next step" for pushing a
-	 * chunk of data is encapsulated into a function and executed when required. Being a
-	 * function, the execution state can be passed to and returned from other functions (methods).
-	 *
-	 * Uses trampolining to avoid stack overflow with continuations.
-	 *
-	 * @see https://en.wikipedia.org/wiki/Continuation
-	 * @param {NextFunction} next What to do next
-	 * @return null If method is used in a continuation, signal no more work to be done.
+	 * @param {Input<A>} input
 	 * @private
 	 */
-	_resumePushing(next) {
-		return trampoline(next)
+	_addToWindow(input) {
+		if (this._window === null) {
+			return
+		}
+
+		const window = this._currentWindow
+
+		if (window.items === 0) {
+			window.firstInputIndex = input.index
+			window.startedAt = Date.now()
+		}
+
+		window.items++
 	}
 
 	/**
-	 * Invokes the generator and pushes the result.
+	 * Ends the current window, and pushes the values from bursting it.
 	 *
-	 * Handles any errors thrown when the generator yields a value.
+	 * Chunks being inflated concurrently are finished first, so that the values from bursting
+	 * the window are pushed after the values from the chunks in it.
 	 *
-	 * @param {Generator<A, InflatedData<B>|Promise<InflatedData<B>>|AsyncGenerator<A, InflatedData<B>>|null>} generator
 	 * @param {TransformCallback} callback
-	 * @return {NextFunction|null} Returns a function for what to do next, or null if nothing is to be done.
 	 * @private
 	 */
-	_pushNextValue(generator, callback) {
-		// next :: InflatedData<B> -> NextFunction|null
-		const next = (value) => this._pushYieldedValue(value, generator, callback);
+	_burstWindow(callback) {
+		if (this._lanes.length > 0) {
+			this._drainCallback = (err) => err ? callback(err) : this._burstWindow(callback)
 
-		// promiseToPush :: Promise<IteratorResult<InflatedData<B>>> -> null
-		const promiseToPush = (promise) =>
-			voidToNull(() =>
-				promise
-				.then(next)
-				.then((next) => this._resumePushing(next))
-				.catch(callback)
-			)
+			return
+		}
 
-		try {
-			const result = generator.next();
+		/** @type {WindowInfo} */
+		const window = { ...this._currentWindow, endedAt: Date.now() }
 
-			// if the generator is an AsyncGenerator<B>, the result will be a Promise<IteratorResult<B>>
+		this._currentWindow = newWindow(window.index + 1)
+
+		this._push(
+			(context) => this._windowBurst(window, context),
+			callback,
+			this._readableOutput(),
+			this._task(Phase.WINDOW)
+		)
+	}
+
+	/**
+	 * @param {Task} task
+	 * @returns {GeneratorContext} The context given to the generator doing the task.
+	 * @private
+	 */
+	_generatorContext(task) {
+		return {
+			signal: task.abortController.signal
+		}
+	}
+
+	/**
+	 * @param {A} chunk
+	 * @param {BufferEncoding|undefined} encoding
+	 * @returns {Input<A>} The chunk, numbered in the order it was written.
+	 * @private
+	 */
+	_input(chunk, encoding) {
+		/** @type {Input<A>} */
+		const input = {
+			chunk,
+			encoding,
+			index: this._stats.chunksWritten++
+		}
+
+		const bytes = chunkLength(input)
+
+		this._stats.bytesIn += bytes
+		publish(channels.chunk, { stream: this, index: input.index, bytes })
+
+		return input
+	}
+
+	/**
+	 * Pushes the values from inflating a chunk.
+	 *
+	 * Errors from inflating the chunk are handled according to the error policy.
+	 *
+	 * @param {Input<A>} input
+	 * @param {TransformCallback} callback
+	 * @param {Output<B>} [output]
+	 * @param {number} [attempt=1] How many times the chunk has been inflated.
+	 * @private
+	 */
+	_inflateChunk(input, callback, output = this._readableOutput(), attempt = 1) {
+		const task = this._task(Phase.INFLATE, input)
+
+		this._push(
+			(context) => this._inflate(input.chunk, input.encoding, context),
+			(err) => {
+				if (!err) {
+					return callback()
+				}
+
+				// anything still being done for the failed attempt should stop, before it's retried.
+				task.abortController.abort(err)
+
+				this._inflateFailed(err, input, callback, output, attempt)
+			},
+			output,
+			task
+		)
+	}
+
+	/**
+	 * Handles an error from inflating a chunk according to the error policy.
+	 *
+	 * @param {Error} err
+	 * @param {Input<A>} input
+	 * @param {TransformCallback} callback
+	 * @param {Output<B>} output
+	 * @param {number} attempt How many times the chunk has been inflated.
+	 * @private
+	 */
+	_inflateFailed(err, input, callback, output, attempt) {
+		const { policy, attempts, backoff, fallback, deadLetter } = this._errorPolicy
+
+		if (this.destroyed) {
+			return
+		}
+
+		switch (policy === ErrorPolicy.RETRY && attempt >= attempts ? fallback : policy) {
+			case ErrorPolicy.RETRY: {
+				const retry = () => this._inflateChunk(input, callback, output, attempt + 1)
+
+				// destroying the stream clears the timer, so the chunk isn't retried.
+				return this._startTimer(retry, typeof backoff === "function" ? backoff(attempt) : backoff)
+			}
+
+			case ErrorPolicy.SKIP:
+				return callback()
+
+			case ErrorPolicy.DEAD_LETTER: {
+				const failure = { chunk: input.chunk, encoding: input.encoding, error: err }
+
+				if (!deadLetter) {
+					this.emit("inflateError", failure)
+
+					return callback()
+				}
+
+				return this._writeDeadLetter(deadLetter, failure, callback)
+			}
+
+			default:
+				return callback(err)
+		}
+	}
+
+	/**
+	 * Writes a failure to the dead letter stream.
+	 *
+	 * The callback is called once the dead letter stream can take more, or with an error if the
+	 * dead letter stream errors or closes first.
+	 *
+	 * @param {Writable} deadLetter
+	 * @param {InflateFailure} failure
+	 * @param {TransformCallback} callback
+	 * @private
+	 */
+	_writeDeadLetter(deadLetter, failure, callback) {
+		let called = false
+
+		const done = (err) => {
+			if (called) {
+				return
+			}
+
+			called = true
+			deadLetter.removeListener("drain", onDrain)
+			deadLetter.removeListener("error", done)
+			deadLetter.removeListener("close", onClose)
+
+			callback(err)
+		}
+		const onDrain = () => done()
+		const onClose = () => done(new Error("The dead letter stream closed before the failure was written"))
+
+		deadLetter.once("error", done)
+		deadLetter.once("close", onClose)
+
+		if (deadLetter.write(failure, (err) => err && done(err))) {
+			done()
+		}
+		else {
+			deadLetter.once("drain", onDrain)
+		}
+	}
+
+	/**
+	 * Pushes values from a generator to the Readable stream.
+	 *
+	 * Handles any errors thrown when creating a generator. The generator is given a signal which
+	 * is aborted if the stream is destroyed while it's doing the task.
+	 *
+	 * @param {(context: GeneratorContext) => Generator<A, InflatedData<B>|Promise<InflatedData<B>>|AsyncGenerator<A, InflatedData<B>>|null>} factory Creates a generator
+	 * @param {TransformCallback} callback
+	 * @param {Output<B>} output Where to push yielded values to.
+	 * @param {Task} task What the generator is doing.
+	 * @private
+	 */
+	_push(factory, callback, output, task) {
+		let generator;
+
+		const unfollow = followSignal(this._abortController.signal, task.abortController)
+
+		try {
+			// we only want to catch errors thrown when creating the generator
+			generator = factory(this._generatorContext(task));
+		}
+		catch (e) {
+			unfollow()
+
+			return callback(e)
+		}
+
+		let stopTimeout = noop
+
+		// finished :: (a -> b) -> a -> b
+		const finished = (fn) => (...args) => {
+			stopTimeout()
+			unfollow()
+
+			return fn(...args)
+		}
+
+		const state = this._pushState(generator, output, task, finished(callback), finished(voidToNull(callback)))
+
+		stopTimeout = this._startTimeout(state, task.phase === Phase.INFLATE ? Timeout.CHUNK : Timeout.BURST)
+
+		this._resumePushing(() => this._pushNextValue(state))
+	}
+
+	/**
+	 * Pushes the values from a generator which finishes off the input, when the stream is
+	 * flushed. Subclasses which hold some of the input back use it before `*_burst`.
+	 *
+	 * @param {() => Generator<InflatedData<B>>} factory Creates a generator
+	 * @param {TransformCallback} callback
+	 */
+	_pushFinal(factory, callback) {
+		this._push(factory, callback, this._readableOutput(), this._task(Phase.BURST))
+	}
+
+	/**
+	 * @param {Phase} phase
+	 * @param {Input<A>} [input] The chunk being inflated.
+	 * @returns {Task}
+	 * @private
+	 */
+	_task(phase, input = {}) {
+		const resumeFrom = this._resumeFrom
+
+		return {
+			phase,
+			chunk: input.chunk,
+			encoding: input.encoding,
+			index: input.index,
+			skip: resumeFrom && input.index === resumeFrom.inputIndex + 1 ? resumeFrom.outputOffset : 0,
+			pushed: 0,
+			cancelled: false,
+			abortController: new AbortController()
+		}
+	}
+
+	/**
+	 * Starts a timer which cancels the task if it fires.
+	 *
+	 * @param {PushState} state
+	 * @param {Timeout} timeout
+	 * @returns {() => void} Stops the timer.
+	 * @private
+	 */
+	_startTimeout(state, timeout) {
+		const ms = this._timeouts[timeout]
+
+		return ms ? this._startTimer(() => this._timedOut(state, timeout, ms), ms) : noop
+	}
+
+	/**
+	 * Starts a timer which is cleared if the stream is destroyed.
+	 *
+	 * @param {() => void} fn
+	 * @param {number} ms
+	 * @returns {() => void} Stops the timer.
+	 * @private
+	 */
+	_startTimer(fn, ms) {
+		const timer = setTimeout(() => {
+			this._timers.delete(timer)
+
+			fn()
+		}, ms)
+
+		this._timers.add(timer)
+
+		return () => {
+			clearTimeout(timer)
+			this._timers.delete(timer)
+		}
+	}
+
+	/**
+	 * Starts the watchdog which reports a stall if a generator waits for too long.
+	 *
+	 * @param {PushState} state
+	 * @param {StallReason} waitingFor
+	 * @returns {() => void} Stops the watchdog.
+	 * @private
+	 */
+	_startWatchdog(state, waitingFor) {
+		if (!this._watchdog) {
+			return noop
+		}
+
+		const started = Date.now()
+
+		return this._startTimer(() => this._stalled(state, waitingFor, Date.now() - started), this._watchdog.ms)
+	}
+
+	/**
+	 * Emits a `stall` event, and errors the stream if the watchdog is configured to do so.
+	 *
+	 * @param {PushState} state
+	 * @param {StallReason} waitingFor
+	 * @param {number} waitedMs
+	 * @private
+	 */
+	_stalled(state, waitingFor, waitedMs) {
+		const { task } = state
+
+		if (this.destroyed || task.cancelled) {
+			return
+		}
+
+		/** @type {Stall} */
+		const stall = {
+			waitingFor,
+			phase: task.phase,
+			chunkIndex: task.index,
+			pushed: task.pushed,
+			readableLength: this.readableLength,
+			writableLength: this.writableLength,
+			waitedMs
+		}
+
+		this.emit("stall", stall)
+
+		if (this._watchdog.error) {
+			this.destroy(new InflateStallError(stall))
+		}
+	}
+
+	/**
+	 * Cancels the task being done by a generator, and passes an `InflateTimeoutError` to the
+	 * generator's callback.
+	 *
+	 * An async generator can't be closed while it's waiting on a Promise, so the generator's
+	 * signal is aborted for it to stop waiting.
+	 *
+	 * @param {PushState} state
+	 * @param {Timeout} timeout
+	 * @param {number} ms
+	 * @private
+	 */
+	_timedOut(state, timeout, ms) {
+		const { task } = state
+
+		if (this.destroyed || task.cancelled) {
+			return
+		}
+
+		const err = new InflateTimeoutError(timeout, ms, task)
+
+		task.cancelled = true
+		task.abortController.abort(err)
+		closeGenerator(state.generator)
+
+		state.callback(err)
+	}
+
+	/**
+	 * Creates the state for pushing the values from a generator.
+	 *
+	 * The generator is tracked so that it can be closed if the stream is destroyed.
+	 *
+	 * @param {Generator|AsyncGenerator|Iterator|AsyncIterator} generator
+	 * @param {Output<B>} output
+	 * @param {Task} task
+	 * @param {TransformCallback} callback Called with an error if the generator throws.
+	 * @param {() => NextFunction|null} done Called when the generator has finished.
+	 * @returns {PushState}
+	 * @private
+	 */
+	_pushState(generator, output, task, callback, done) {
+		// release :: () -> Boolean
+		const release = () => this._generators.delete(generator)
+
+		this._generators.add(generator)
+
+		return {
+			generator,
+			output,
+			task,
+			status: undefined,
+			waitedMs: 0,
+			callback: (err) => {
+				release()
+
+				return callback(err)
+			},
+			done: () => {
+				release()
+
+				return done()
+			}
+		}
+	}
+
+	/**
+	 * Resumes pushing from a continuation.
+	 *
+	 * Continuations are used to encapsulate execution state about what to "do next" as data is
+	 * pushed through the stream. This allows synchronous and asynchronous work
+	 * (both with promises and events) to be done by the stream as the "next step" for pushing a
+	 * chunk of data is encapsulated into a function and executed when required. Being a
+	 * function, the execution state can be passed to and returned from other functions (methods).
+	 *
+	 * Uses trampolining to avoid stack overflow with continuations.
+	 *
+	 * @see https://en.wikipedia.org/wiki/Continuation
+	 * @param {NextFunction} next What to do next
+	 * @return null If method is used in a continuation, signal no more work to be done.
+	 * @private
+	 */
+	_resumePushing(next) {
+		return trampoline(next)
+	}
+
+	/**
+	 * Invokes the generator and pushes the result.
+	 *
+	 * Handles any errors thrown when the generator yields a value.
+	 *
+	 * @param {PushState} state
+	 * @return {NextFunction|null} Returns a function for what to do next, or null if nothing is to be done.
+	 * @private
+	 */
+	_pushNextValue(state) {
+		const { generator, callback, task } = state
+
+		// next :: InflatedData<B> -> NextFunction|null
+		const next = (value) => this._pushYieldedValue(value, state);
+
+		// promiseToPush :: Promise<IteratorResult<InflatedData<B>>> -> null
+		const promiseToPush = (promise) =>
+			voidToNull(() => {
+				const started = Date.now()
+				const stopTimeout = this._startTimeout(state, Timeout.YIELD)
+				const stopWatchdog = this._startWatchdog(state, StallReason.PROMISE)
+
+				promise
+				.finally(() => {
+					stopTimeout()
+					stopWatchdog()
+					this._recordPromiseWait(task, Date.now() - started)
+				})
+				.then(next)
+				.then((next) => this._resumePushing(next))
+				.catch((e) => this.destroyed || task.cancelled ? null : callback(e))
+			})
+
+		if (task.cancelled) {
+			closeGenerator(generator)
+
+			return null;
+		}
+
+		try {
+			const result = generator.next(state.status);
+
+			// if the generator is an AsyncGenerator<B>, the result will be a Promise<IteratorResult<B>>
 			if (isPromiseLike(result)) {
 				return promiseToPush(result);
 			}
 
-			// if the generator is a Generator<Promise<B>>, the result will be a IteratorResult<Promise<B>>
-			if (isPromiseLike(result.value)) {
-				return promiseToPush(result.value.then(toIteratorResult(result.done)));
-			}
+			// if the generator is a Generator<Promise<B>>, the result will be a IteratorResult<Promise<B>>
+			if (isPromiseLike(result.value)) {
+				return promiseToPush(result.value.then(toIteratorResult(result.done)));
+			}
+
+			return next(result);
+		}
+		catch (e) {
+			return voidToNull(() => callback(e))
+		}
+	}
+
+	/**
+	 * Handles the logic of pushing a yielded value from a generator.
+	 *
+	 * @param {IteratorResult<InflatedData<B>>} value
+	 * @param {PushState} state
+	 * @return {NextFunction|null} Returns a function for what to do next, or null if nothing is to be done.
+	 */
+	_pushYieldedValue(value, state) {
+		const { generator } = state
+		const done = state.done;
+		const next = () => this._pushNextValue(state)
+
+		if (this.destroyed || state.task.cancelled) {
+			// the generator may have been running when the stream was destroyed, or the task cancelled
+			closeGenerator(generator)
+
+			return null;
+		}
+
+		if (value.done) {
+			return done;
+		}
+
+		if (isNestedSource(value.value)) {
+			return this._pushNestedSource(value.value, state)
+		}
+
+		if (isOversized(value.value, this._maxChunkSize)) {
+			return this._pushNestedSource(sliceInflatedData(value.value, this._maxChunkSize), state)
+		}
+
+		if (state.task.pushed < state.task.skip) {
+			// the value was pushed before the stream was resumed from a checkpoint.
+			state.task.pushed++
+
+			return next;
+		}
+
+		const routed = isRouted(value.value)
+		const output = routed ? this._namedOutput(value.value.output).output : state.output
+
+		if (output.isBlocked()) {
+			// another generator has filled the Readable stream buffer, so push the value once it's ready.
+			this._waitForOutput(state, () => this._resumePushing(() => this._pushYieldedValue(value, state)), output);
+
+			return null;
+		}
+
+		const rateLimitMs = this._takeTokens(value.value)
+
+		if (rateLimitMs > 0) {
+			// push the value once the rate limit allows it, without blocking other work.
+			this._waitForTokens(state, rateLimitMs, () => this._resumePushing(() => this._pushYieldedValue(value, state)))
+
+			return null;
+		}
+
+		const bufferStatus = output.push(routed ? value.value : this._traceInflatedData(state.task, value.value));
+
+		if (value.value !== null) {
+			this._recordPush(state.task, value.value)
+		}
+
+		if (isFull(bufferStatus)) {
+			this._recordPause(state.task)
+			this._waitForOutput(state, () => {
+				state.status = this._yieldStatus(true, state.waitedMs)
+				state.waitedMs = 0
+
+				this._resumePushing(next)
+			}, output);
+
+			// Nothing to do while waiting for a 'ready' event
+			return null;
+		}
+
+		if (isNotFull(bufferStatus)) {
+			state.status = this._yieldStatus(false, state.waitedMs)
+			state.waitedMs = 0
+
+			// continue pushing
+			return next;
+		}
+
+		// we need to stop pushing as the stream is finished
+		return done;
+	}
+
+	/**
+	 * Takes the tokens needed to push a value from the rate limit bucket.
+	 *
+	 * A value larger than the bucket can hold is pushed once the bucket is full, so that it
+	 * doesn't wait forever.
+	 *
+	 * @param {InflatedData<B>|null} data
+	 * @returns {number} 0 if the tokens were taken. Otherwise, how many milliseconds to wait before there will be enough tokens.
+	 * @private
+	 */
+	_takeTokens(data) {
+		if (this._rateLimit === null || data === null) {
+			return 0
+		}
+
+		const { per } = this._rateLimit
+		const rate = this._rateLimit.items || this._rateLimit.bytes
+		const capacity = bucketCapacity(this._rateLimit)
+		const cost = this._rateLimit.items ? 1 : chunkLength(data)
+		const needed = Math.min(cost, capacity)
+		const now = Date.now()
+		const tokens = this._tokens
+
+		tokens.available = Math.min(capacity, tokens.available + (now - tokens.refilledAt) * rate / per)
+		tokens.refilledAt = now
+
+		if (tokens.available >= needed) {
+			tokens.available -= cost
+
+			return 0
+		}
+
+		return Math.ceil((needed - tokens.available) * per / rate)
+	}
+
+	/**
+	 * Waits for the rate limit to allow a generator to push, keeping track of how long the
+	 * generator has waited.
+	 *
+	 * @param {PushState} state
+	 * @param {number} ms
+	 * @param {() => void} fn Called when there should be enough tokens.
+	 * @private
+	 */
+	_waitForTokens(state, ms, fn) {
+		const started = Date.now()
+
+		this._startTimer(() => {
+			const waitedMs = Date.now() - started
+
+			this._stats[state.task.phase].rateLimitWaitMs += waitedMs
+			state.waitedMs += waitedMs
+
+			fn()
+		}, ms)
+	}
+
+	/**
+	 * Waits for the output of a generator to be ready, keeping track of how long the generator
+	 * has waited.
+	 *
+	 * @param {PushState} state
+	 * @param {() => void} fn Called when the output is ready.
+	 * @param {Output} [output] The output to wait for, if not the generator's output.
+	 * @private
+	 */
+	_waitForOutput(state, fn, output = state.output) {
+		const started = Date.now()
+		const stopWatchdog = this._startWatchdog(state, StallReason.READY)
+
+		output.whenReady(() => {
+			const waitedMs = Date.now() - started
+
+			stopWatchdog()
+			this._recordReadyWait(state.task, waitedMs)
+
+			state.waitedMs += waitedMs
+
+			fn()
+		})
+	}
+
+	/**
+	 * Records where a value came from, if the lineage or checkpoints options are enabled.
+	 *
+	 * The lineage is kept with the value so that it can be emitted, or the checkpoint updated,
+	 * when the value is pushed. In object mode with the lineage option, the value is also wrapped
+	 * with its lineage.
+	 *
+	 * @param {Task} task
+	 * @param {InflatedData<B>|null} data
+	 * @returns {InflatedData<B|Traced<B>>|null}
+	 * @private
+	 */
+	_traceInflatedData(task, data) {
+		if (!(this._lineage || this._checkpoints) || data === null) {
+			return data
+		}
+
+		/** @type {Lineage} */
+		const lineage = {
+			inputIndex: task.index === undefined ? null : task.index,
+			outputIndexWithinInput: task.pushed,
+			phase: task.phase
+		}
+
+		if (this._lineage && this.readableObjectMode) {
+			return { chunk: { value: data.chunk, lineage }, encoding: data.encoding, [LINEAGE]: lineage }
+		}
+
+		return { ...data, [LINEAGE]: lineage }
+	}
+
+	/**
+	 * Called just before a value with the lineage is pushed.
+	 *
+	 * @param {Lineage} lineage
+	 * @private
+	 */
+	_pushingLineage(lineage) {
+		if (this._lineage && !this.readableObjectMode) {
+			this.emit("lineage", lineage)
+		}
+
+		if (this._checkpoints && lineage.phase === Phase.INFLATE) {
+			this._checkpoint = {
+				inputIndex: lineage.inputIndex - 1,
+				outputOffset: lineage.outputIndexWithinInput + 1
+			}
+		}
+	}
+
+	/**
+	 * Called when everything inflated from a chunk has been pushed.
+	 *
+	 * @param {Input<A>} input
+	 * @private
+	 */
+	_chunkCompleted(input) {
+		if (this._checkpoints) {
+			this._checkpoint = { inputIndex: input.index, outputOffset: 0 }
+
+			this._takeCheckpoint()
+		}
+	}
+
+	/**
+	 * Takes a checkpoint of everything pushed so far, to be emitted once it has all been read.
+	 *
+	 * Anything being coalesced, or overflowed, hasn't been pushed yet, so the checkpoint waits
+	 * for it to be pushed.
+	 *
+	 * @param {Checkpoint} [checkpoint]
+	 * @private
+	 */
+	_takeCheckpoint(checkpoint = { ...this._checkpoint }) {
+		const overflowed = this._overflowed
+
+		if (this._coalesced.values.length > 0) {
+			this._coalesced.checkpoints.push(checkpoint)
+		}
+		else if (overflowed.bytes > 0) {
+			overflowed.checkpoints.push({ checkpoint, drainedBytes: overflowed.drainedBytes + overflowed.bytes })
+		}
+		else {
+			this._pendingCheckpoints.push({ checkpoint, position: this._pushedLength })
+		}
+	}
+
+	/**
+	 * Emits the checkpoints that everything pushed before has been read for.
+	 *
+	 * @private
+	 */
+	_emitReadCheckpoints() {
+		const read = this._pushedLength - this.readableLength
+
+		while (this._pendingCheckpoints.length > 0 && this._pendingCheckpoints[0].position <= read) {
+			this.emit("checkpoint", this._pendingCheckpoints.shift().checkpoint)
+		}
+	}
+
+	/**
+	 * Pushes a chunk to the Readable buffer, keeping count of how much has been pushed.
+	 *
+	 * The count is in the same units as `readableLength`, so that comparing the two gives how
+	 * much has been read. A chunk given straight to a flowing consumer isn't counted, as it was
+	 * never buffered.
+	 *
+	 * @param {B} chunk
+	 * @param {BufferEncoding} [encoding]
+	 * @returns {boolean} Whether more can be pushed.
+	 * @private
+	 */
+	_pushReadable(chunk, encoding) {
+		const length = this.readableLength
+		const more = this.push(chunk, encoding)
+
+		this._pushedLength += Math.max(this.readableLength - length, 0)
+
+		return more
+	}
+
+	/**
+	 * Whether everything inflated from a chunk was pushed before the stream was resumed from a
+	 * checkpoint.
+	 *
+	 * @param {Input<A>} input
+	 * @returns {boolean}
+	 * @private
+	 */
+	_alreadyInflated(input) {
+		return this._resumeFrom !== null && input.index <= this._resumeFrom.inputIndex
+	}
+
+	/**
+	 * Returns statistics about the data that has passed through the stream.
+	 *
+	 * @returns {InflatingTransformStats}
+	 */
+	stats() {
+		const { chunksWritten, bytesIn } = this._stats
+
+		return {
+			chunksWritten,
+			bytesIn,
+			[Phase.INFLATE]: { ...this._stats[Phase.INFLATE] },
+			[Phase.WINDOW]: { ...this._stats[Phase.WINDOW] },
+			[Phase.BURST]: { ...this._stats[Phase.BURST] }
+		}
+	}
+
+	/**
+	 * @param {Task} task
+	 * @param {InflatedData<B>} data The value that was pushed.
+	 * @private
+	 */
+	_recordPush(task, data) {
+		const stats = this._stats[task.phase]
+		const bytes = chunkLength(data)
+
+		task.pushed++
+		stats.valuesPushed++
+		stats.bytesOut += bytes
+
+		publish(channels.push, { stream: this, phase: task.phase, chunkIndex: task.index, bytes })
+	}
+
+	/**
+	 * @param {Task} task
+	 * @private
+	 */
+	_recordPause(task) {
+		this._stats[task.phase].pauses++
+
+		publish(channels.pause, { stream: this, phase: task.phase, chunkIndex: task.index })
+	}
+
+	/**
+	 * @param {Task} task
+	 * @param {number} waitedMs How long a generator waited for the stream to be ready.
+	 * @private
+	 */
+	_recordReadyWait(task, waitedMs) {
+		const stats = this._stats[task.phase]
+
+		stats.readyWaitMs += waitedMs
+		stats.maxReadyWaitMs = Math.max(stats.maxReadyWaitMs, waitedMs)
+
+		publish(channels.resume, { stream: this, phase: task.phase, chunkIndex: task.index, waitedMs })
+	}
+
+	/**
+	 * @param {Task} task
+	 * @param {number} waitedMs How long a generator waited for a Promise to settle.
+	 * @private
+	 */
+	_recordPromiseWait(task, waitedMs) {
+		this._stats[task.phase].promiseWaitMs += waitedMs
+
+		publish(channels.promise, { stream: this, phase: task.phase, chunkIndex: task.index, waitedMs })
+	}
+
+	/**
+	 * @param {boolean} full Whether the last value pushed filled the buffer.
+	 * @param {number} waitedMs How long the generator waited to push.
+	 * @returns {YieldStatus} The value given to a generator when it is resumed.
+	 * @private
+	 */
+	_yieldStatus(full, waitedMs) {
+		return {
+			full,
+			readableLength: this.readableLength,
+			highWaterMark: this.readableHighWaterMark,
+			waitedMs
+		}
+	}
+
+	/**
+	 * Pushes the data from a source yielded by a generator, then resumes the generator.
+	 *
+	 * @param {NestedSource<B>} source
+	 * @param {PushState} state The state of the generator that yielded the source.
+	 * @return {NextFunction} What to do next.
+	 * @private
+	 */
+	_pushNestedSource(source, state) {
+		const nested = this._pushState(
+			nestedIterator(source),
+			state.output,
+			state.task,
+			(err) => {
+				closeGenerator(state.generator)
+
+				return state.callback(err)
+			},
+			() => {
+				state.status = nested.status
+
+				return () => this._pushNextValue(state)
+			}
+		)
+
+		return () => this._pushNextValue(nested)
+	}
+
+	/**
+	 * Pushes a single value to the Readable stream.
+	 *
+	 * @param {InflatedData<B>|null} data
+	 * @returns {ReadableBufferStatus}
+	 * @private
+	 */
+	_pushInflatedData(data) {
+		if (this._coalesce) {
+			return this._coalesceInflatedData(data)
+		}
+
+		return this._pushChunk(data)
+	}
+
+	/**
+	 * Holds on to a value until enough values have been yielded to push them together.
+	 *
+	 * @param {InflatedData<B>|null} data
+	 * @returns {ReadableBufferStatus}
+	 * @private
+	 */
+	_coalesceInflatedData(data) {
+		if (data === null) {
+			this._pushCoalesced()
+
+			return this._pushChunk(null)
+		}
+
+		const { bytes, items, ms } = this._coalesce
+		const coalesced = this._coalesced
+
+		coalesced.values.push(data)
+		coalesced.bytes += chunkLength(data)
+
+		if ((bytes && coalesced.bytes >= bytes) || (items && coalesced.values.length >= items)) {
+			return this._pushCoalesced()
+		}
+
+		if (ms && coalesced.timer === null) {
+			coalesced.timer = setTimeout(() => this._pushCoalesced(), ms)
+		}
+
+		return ReadableBufferStatus.NOT_FULL
+	}
+
+	/**
+	 * Pushes the values being coalesced as a single chunk.
+	 *
+	 * In object mode, the chunk is an array of the values.
+	 *
+	 * @returns {ReadableBufferStatus}
+	 * @private
+	 */
+	_pushCoalesced() {
+		const { values, timer, checkpoints } = this._coalesced
+
+		clearTimeout(timer)
+		this._coalesced = newCoalesced()
+
+		if (values.length === 0) {
+			return this._readableBufferFull && !this._overflow ? ReadableBufferStatus.FULL : ReadableBufferStatus.NOT_FULL
+		}
+
+		return this._pushChunk(combineInflatedData(values, this.readableObjectMode), checkpoints)
+	}
+
+	/**
+	 * Pushes a chunk to the Readable stream.
+	 *
+	 * @param {InflatedData<B>|null} data
+	 * @param {Checkpoint[]} [checkpoints] Checkpoints that were waiting for the chunk to be pushed.
+	 * @returns {ReadableBufferStatus}
+	 * @private
+	 */
+	_pushChunk(data, checkpoints = []) {
+		if (this._overflow && this._shouldOverflow(data)) {
+			const status = this._overflowInflatedData(data)
+
+			checkpoints.forEach((checkpoint) => this._takeCheckpoint(checkpoint))
+
+			return status
+		}
+
+		if (data === null) {
+			this.push(null);
+
+			return ReadableBufferStatus.FINISHED
+		}
+		else {
+			if (data[LINEAGE]) {
+				[].concat(data[LINEAGE]).forEach((lineage) => this._pushingLineage(lineage))
+			}
+
+			const more = this._pushReadable(data.chunk, data.encoding);
+
+			this._readableBufferFull = !more
+
+			checkpoints.forEach((checkpoint) => this._takeCheckpoint(checkpoint))
+
+			if (!more && this._checkpoints) {
+				this._takeCheckpoint()
+			}
+
+			// when overflowing, generators are never paused.
+			return more || this._overflow ? ReadableBufferStatus.NOT_FULL : ReadableBufferStatus.FULL
+		}
+	}
+
+	/**
+	 * Whether a chunk should be overflowed rather than pushed.
+	 *
+	 * A Transform doesn't call back from writing a chunk if pushing its values filled the
+	 * Readable buffer. So that writing isn't paused, chunks are overflowed before they would
+	 * fill the buffer. As an empty buffer means the stream is waiting for a push, a chunk is
+	 * always pushed to an empty buffer.
+	 *
+	 * @param {InflatedData<B>|null} data
+	 * @returns {boolean}
+	 * @private
+	 */
+	_shouldOverflow(data) {
+		if (this._overflowed.bytes > 0) {
+			return true
+		}
+
+		return data !== null && this.readableLength > 0 &&
+			this.readableLength + chunkLength(data) >= this.readableHighWaterMark
+	}
+
+	/**
+	 * Buffers a chunk until the Readable stream is ready for it.
+	 *
+	 * Chunks are buffered in memory until the memory budget is used, and then appended to a
+	 * temporary file. Once anything is in the file, later chunks are also appended to it, so that
+	 * chunks are pushed in order.
+	 *
+	 * @param {InflatedData<B>|null} data
+	 * @returns {ReadableBufferStatus}
+	 * @private
+	 */
+	_overflowInflatedData(data) {
+		const overflowed = this._overflowed
+
+		if (data === null) {
+			// the stream ends once everything overflowed has been pushed.
+			overflowed.ended = true
+
+			return ReadableBufferStatus.FINISHED
+		}
+
+		if (data[LINEAGE]) {
+			[].concat(data[LINEAGE]).forEach((lineage) => this._pushingLineage(lineage))
+		}
+
+		const chunk = typeof data.chunk === "string" ? Buffer.from(data.chunk, data.encoding) : data.chunk
+
+		if (overflowed.bytes + chunk.length > this._overflow.maxBytes) {
+			this.destroy(new InflateOverflowError(this._overflow.maxBytes))
+
+			return ReadableBufferStatus.FINISHED
+		}
+
+		if (overflowed.file === null && overflowed.memoryBytes + chunk.length <= this._overflow.memory) {
+			overflowed.memory.push(chunk)
+			overflowed.memoryBytes += chunk.length
+		}
+		else {
+			this._appendToOverflowFile(chunk)
+		}
+
+		overflowed.bytes += chunk.length
+
+		return ReadableBufferStatus.NOT_FULL
+	}
+
+	/**
+	 * Appends a chunk to the temporary file, opening it the first time.
+	 *
+	 * Writing is queued behind whatever else is being done with the file, so that the stream
+	 * isn't blocked on the disk.
+	 *
+	 * @param {Buffer} chunk
+	 * @private
+	 */
+	_appendToOverflowFile(chunk) {
+		const overflowed = this._overflowed
+
+		if (overflowed.file === null) {
+			overflowed.file = this._openOverflowFile()
+		}
+
+		const file = overflowed.file
+		const position = file.written
+
+		file.written += chunk.length
+
+		this._queueOverflowFileIO(file, () => file.handle.write(chunk, 0, chunk.length, position))
+	}
+
+	/**
+	 * Creates a temporary file in a directory of its own.
+	 *
+	 * @returns {OverflowFile}
+	 * @private
+	 */
+	_openOverflowFile() {
+		/** @type {OverflowFile} */
+		const file = { dir: null, handle: null, written: 0, read: 0, reading: false, io: null }
+
+		file.io = fs.promises.mkdtemp(path.join(this._overflow.dir || os.tmpdir(), "inflating-transform-"))
+			.then((dir) => {
+				file.dir = dir
+
+				return fs.promises.open(path.join(dir, "overflow"), "w+")
+			})
+			.then((handle) => {
+				file.handle = handle
+			})
+
+		file.io.catch((err) => this.destroy(err))
+
+		return file
+	}
+
+	/**
+	 * Runs a function with the temporary file once everything queued before it is done.
+	 *
+	 * If the function fails, the stream is destroyed with the error.
+	 *
+	 * @param {OverflowFile} file
+	 * @param {() => Promise<void>} fn
+	 * @private
+	 */
+	_queueOverflowFileIO(file, fn) {
+		file.io = file.io.then(fn)
+		file.io.catch((err) => this.destroy(err))
+	}
+
+	/**
+	 * Pushes overflowed chunks, oldest first, until the Readable stream buffer is full.
+	 *
+	 * Chunks from the temporary file are read back one at a time, in slices of up to the
+	 * Readable `highWaterMark`, and draining carries on once each has been pushed. Once the file
+	 * has been read, it is removed.
+	 *
+	 * @private
+	 */
+	_drainOverflow() {
+		const overflowed = this._overflowed
+
+		while (!this._readableBufferFull && overflowed.memory.length > 0) {
+			const chunk = overflowed.memory.shift()
+
+			overflowed.memoryBytes -= chunk.length
+			this._pushOverflowed(chunk)
+		}
+
+		const file = overflowed.file
+
+		if (!this._readableBufferFull && file !== null && file.read < file.written && !file.reading) {
+			file.reading = true
+
+			this._queueOverflowFileIO(file, async () => {
+				const chunk = Buffer.alloc(Math.min(this.readableHighWaterMark, file.written - file.read))
+				const { bytesRead } = await file.handle.read(chunk, 0, chunk.length, file.read)
+
+				file.read += bytesRead
+				file.reading = false
+
+				if (!this.destroyed) {
+					this._pushOverflowed(chunk.subarray(0, bytesRead))
+					this._drainOverflow()
+				}
+			})
+		}
+
+		if (overflowed.bytes > 0 || overflowed.removing) {
+			return
+		}
+
+		if (file !== null) {
+			// carry on once the file has gone, as more may have overflowed in the meantime.
+			overflowed.file = null
+			overflowed.removing = this._removeOverflowFile(file).then(() => {
+				overflowed.removing = null
+
+				if (!this.destroyed) {
+					this._drainOverflow()
+				}
+			})
+
+			return
+		}
+
+		if (overflowed.ended) {
+			this.push(null)
+		}
+
+		const drained = overflowed.drained
+		overflowed.drained = null
+
+		if (drained) {
+			drained()
+		}
+	}
+
+	/**
+	 * Pushes an overflowed chunk to the Readable stream.
+	 *
+	 * @param {Buffer} chunk
+	 * @private
+	 */
+	_pushOverflowed(chunk) {
+		const overflowed = this._overflowed
+
+		overflowed.bytes -= chunk.length
+		overflowed.drainedBytes += chunk.length
+		this._readableBufferFull = !this._pushReadable(chunk)
+
+		while (overflowed.checkpoints.length > 0 && overflowed.checkpoints[0].drainedBytes <= overflowed.drainedBytes) {
+			this._pendingCheckpoints.push({ checkpoint: overflowed.checkpoints.shift().checkpoint, position: this._pushedLength })
+		}
+	}
+
+	/**
+	 * Calls a function once everything overflowed has been pushed, and the temporary file removed.
+	 *
+	 * @param {() => void} fn
+	 * @private
+	 */
+	_whenOverflowDrained(fn) {
+		const overflowed = this._overflowed
+
+		if (overflowed.bytes === 0 && overflowed.file === null && !overflowed.removing) {
+			return fn()
+		}
+
+		overflowed.drained = fn
+	}
+
+	/**
+	 * Closes and removes a temporary file, once everything queued with it is done.
+	 *
+	 * As the file is being thrown away, failing to close or remove it is ignored.
+	 *
+	 * @param {OverflowFile} file
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	_removeOverflowFile(file) {
+		return file.io
+			.catch(noop)
+			.then(() => file.handle && file.handle.close())
+			.then(() => file.dir && fs.promises.rm(file.dir, { recursive: true, force: true }))
+			.catch(noop)
+	}
+
+	/**
+	 * Calls a function once the stream emits the `ready` event.
+	 *
+	 * @param {() => void} fn
+	 * @private
+	 */
+	_whenReady(fn) {
+		const listener = () => {
+			this._readyListeners.delete(listener)
+
+			fn()
+		}
+
+		this._readyListeners.add(listener)
+		this.once("ready", listener)
+	}
+
+	/**
+	 * Returns a named output, which values yielded with the name of the output are pushed to.
+	 *
+	 * @param {string} name
+	 * @returns {Readable}
+	 */
+	output(name) {
+		return this._namedOutput(name).readable
+	}
+
+	/**
+	 * Creates a named output the first time it is used.
+	 *
+	 * Like the stream, the Readable emits the `ready` event when it is read from, so that
+	 * generators waiting for it to have room can be resumed.
+	 *
+	 * @param {string} name
+	 * @returns {NamedOutput}
+	 * @private
+	 */
+	_namedOutput(name) {
+		if (this._outputs.has(name)) {
+			return this._outputs.get(name)
+		}
+
+		const readable = new Readable({
+			objectMode: this.readableObjectMode,
+			highWaterMark: this.readableHighWaterMark,
+			encoding: this.readableEncoding || undefined,
+			read: () => {
+				named.full = false
+				readable.emit("ready")
+			}
+		})
+
+		/** @type {NamedOutput} */
+		const named = {
+			readable,
+			full: false,
+			output: {
+				push: (data) => {
+					named.full = !readable.push(data.chunk, data.encoding)
+
+					return named.full ? ReadableBufferStatus.FULL : ReadableBufferStatus.NOT_FULL
+				},
+				whenReady: (fn) => readable.once("ready", fn),
+				isBlocked: () => named.full
+			}
+		}
+
+		this._outputs.set(name, named)
+
+		return named
+	}
+
+	/**
+	 * @returns {Output<B>} An Output that pushes to the Readable stream.
+	 * @private
+	 */
+	_readableOutput() {
+		return {
+			push: (data) => this._pushInflatedData(data),
+			whenReady: (fn) => this._whenReady(fn),
+			isBlocked: () => this._readableBufferFull && this._overflow === null
+		}
+	}
+
+	/**
+	 * Starts inflating a chunk while other chunks are still being inflated.
+	 *
+	 * Each chunk is given a lane. The lane at the head of the queue pushes directly to the
+	 * Readable stream, while lanes behind it buffer what their generators yield. When the head
+	 * lane finishes, the next lane drains its buffer to the Readable stream and then pushes
+	 * directly. This keeps the output in the same order as the input.
+	 *
+	 * So that a lane doesn't buffer without limit, a lane waiting on the lanes ahead of it is
+	 * paused once it has buffered as much as the Readable stream buffer can hold.
+	 *
+	 * If the output doesn't need to be ordered, every lane pushes directly to the Readable
+	 * stream. As every lane shares the Readable stream buffer, when it is full every lane is
+	 * paused until the stream is ready.
+	 *
+	 * @param {Input<A>} input
+	 * @param {TransformCallback} callback
+	 * @private
+	 */
+	_transformConcurrently(input, callback) {
+		/** @type {Lane} */
+		const lane = {
+			input,
+			head: !this._ordered || this._lanes.length === 0,
+			buffer: [],
+			bufferedLength: 0,
+			resume: null,
+			done: false
+		}
+
+		this._lanes.push(lane)
+
+		if (this._lanes.length < this._concurrency) {
+			callback()
+		}
+		else {
+			// wait for a lane to become free before accepting another chunk.
+			this._laneCallback = callback
+		}
+
+		this._inflateChunk(input, (err) => this._laneFinished(lane, err), this._laneOutput(lane))
+	}
+
+	/**
+	 * @param {Lane} lane
+	 * @returns {Output<B>} An Output that pushes to the lane.
+	 * @private
+	 */
+	_laneOutput(lane) {
+		const readable = this._readableOutput()
+
+		return {
+			push: (data) => {
+				if (lane.head) {
+					return readable.push(data)
+				}
+
+				lane.buffer.push(data)
+
+				if (data === null) {
+					return ReadableBufferStatus.FINISHED
+				}
+
+				lane.bufferedLength += this._inflatedDataLength(data)
+
+				return lane.bufferedLength >= this.readableHighWaterMark
+					? ReadableBufferStatus.FULL
+					: ReadableBufferStatus.NOT_FULL
+			},
+			whenReady: (fn) => {
+				if (lane.head) {
+					return readable.whenReady(fn)
+				}
+
+				lane.resume = fn
+			},
+			isBlocked: () => lane.head && readable.isBlocked()
+		}
+	}
+
+	/**
+	 * Called when the generator for a lane has finished.
+	 *
+	 * @param {Lane} lane
+	 * @param {Error} [err]
+	 * @private
+	 */
+	_laneFinished(lane, err) {
+		if (err) {
+			return this._lanesFailed(err)
+		}
+
+		lane.done = true
+
+		if (!this._ordered) {
+			this._retireLane(lane)
+
+			if (this._lanes.length === 0) {
+				this._lanesDrained()
+			}
+
+			return
+		}
+
+		if (lane === this._lanes[0]) {
+			this._resumePushing(() => this._advanceLanes())
+		}
+	}
+
+	/**
+	 * Retires finished lanes from the head of the queue and promotes the next lane to be the
+	 * head.
+	 *
+	 * @return {NextFunction|null} Returns a function for what to do next, or null if nothing is to be done.
+	 * @private
+	 */
+	_advanceLanes() {
+		if (this.destroyed) {
+			return null
+		}
+
+		const lane = this._lanes[0]
+
+		if (lane === undefined) {
+			return voidToNull(() => this._lanesDrained())
+		}
+
+		while (lane.buffer.length > 0) {
+			const data = lane.buffer.shift()
+			const bufferStatus = this._pushInflatedData(data)
+
+			if (data !== null) {
+				lane.bufferedLength -= this._inflatedDataLength(data)
+			}
+
+			if (isFull(bufferStatus)) {
+				this._whenReady(() => this._resumePushing(() => this._advanceLanes()))
+
+				return null
+			}
+
+			if (!isNotFull(bufferStatus)) {
+				// the stream is finished, so nothing else from the lane can be pushed.
+				lane.buffer = []
+			}
+		}
+
+		if (!lane.done) {
+			lane.head = true
+
+			const resume = lane.resume
+			lane.resume = null
+
+			return resume
+		}
+
+		this._retireLane(lane)
+		this._chunkCompleted(lane.input)
+
+		return () => this._advanceLanes()
+	}
+
+	/**
+	 * Removes a finished lane, which allows another chunk to be inflated.
+	 *
+	 * @param {Lane} lane
+	 * @private
+	 */
+	_retireLane(lane) {
+		this._lanes.splice(this._lanes.indexOf(lane), 1)
+
+		if (this._laneCallback && this._lanes.length < this._concurrency) {
+			const callback = this._laneCallback
+			this._laneCallback = null
+
+			callback()
+		}
+	}
+
+	/**
+	 * Called when all lanes have finished and been drained.
+	 *
+	 * @private
+	 */
+	_lanesDrained() {
+		if (this._drainCallback) {
+			const callback = this._drainCallback
+			this._drainCallback = null
+
+			callback()
+		}
+	}
+
+	/**
+	 * Called when the generator for a lane throws an error.
+	 *
+	 * The error is given to whichever callback is waiting on the lanes. If nothing is waiting,
+	 * the stream is destroyed with the error.
+	 *
+	 * @param {Error} err
+	 * @private
+	 */
+	_lanesFailed(err) {
+		if (this.destroyed) {
+			return
+		}
+
+		const callback = this._laneCallback || this._drainCallback
+
+		this._laneCallback = null
+		this._drainCallback = null
+
+		if (callback) {
+			return callback(err)
+		}
+
+		this.destroy(err)
+	}
+
+	/**
+	 * @param {InflatedData<B>} data
+	 * @returns {number} How much of the Readable stream buffer the data takes up.
+	 * @private
+	 */
+	_inflatedDataLength(data) {
+		return this.readableObjectMode ? 1 : chunkLength(data)
+	}
+}
+
+/**
+ * A WHATWG transform stream which uses the same generators as InflatingTransform.
+ *
+ * It isn't a `TransformStream` subclass, as the readable side has to pull from paused
+ * generators, but a `{ readable, writable }` pair: a `writable` side that chunks are written
+ * to, and a `readable` side that the values yielded by `*_inflate` and `*_burst` (or the
+ * constructor options `inflate` and `burst`) are enqueued to, so it can be given to
+ * `pipeThrough`.
+ * Generators can be sync or async, and can yield values, Promises for values, or nested
+ * sources.
+ *
+ * Web streams don't have a `ready` event. Instead, when the `desiredSize` of the readable side
+ * isn't positive after a value is enqueued, the generator is paused until the readable side
+ * pulls for more data. Until the generator for a chunk has finished, the next chunk isn't
+ * written, which applies backpressure to the writable side.
+ *
+ * As web streams don't have encodings, generators are given an `undefined` encoding.
+ *
+ * @template {any} A The input chunk type
+ * @template {any} B The output chunk type
+ */
+class InflatingTransformStream {
+	/**
+	 * @param {{ inflate?: InflatingGenerator, burst?: BurstingGenerator }} [opts]
+	 * @param {QueuingStrategy<A>} [writableStrategy]
+	 * @param {QueuingStrategy<B>} [readableStrategy]
+	 */
+	constructor(opts = {}, writableStrategy = undefined, readableStrategy = { highWaterMark: 0 }) {
+		if (opts.inflate) {
+			this._inflate = opts.inflate
+		}
+
+		if (opts.burst) {
+			this._burst = opts.burst
+		}
+
+		this._highWaterMark = readableStrategy.highWaterMark === undefined ? 1 : readableStrategy.highWaterMark
+		this._abortController = new AbortController()
+		this._generator = null
+
+		/** @type {Set<Iterator|AsyncIterator>} The iterators from nested sources being enqueued. */
+		this._nestedIterators = new Set()
+		this._pulled = null
+		this._ended = false
+
+		/** @type {ReadableStreamDefaultController} */
+		this._readableController = null
+
+		/** @type {WritableStreamDefaultController} */
+		this._writableController = null
+
+		/** @type {ReadableStream<B>} */
+		this.readable = new ReadableStream({
+			start: (controller) => {
+				this._readableController = controller
+			},
+			pull: () => this._pull(),
+			cancel: (reason) => this._cancel(reason)
+		}, readableStrategy)
+
+		/** @type {WritableStream<A>} */
+		this.writable = new WritableStream({
+			start: (controller) => {
+				this._writableController = controller
+			},
+			write: (chunk) => this._enqueueAll(() => this._inflate(chunk, undefined, this._generatorContext())),
+			close: async () => {
+				await this._enqueueAll(() => this._burst(this._generatorContext()))
+
+				this._end()
+			},
+			abort: (reason) => this._cancel(reason)
+		}, writableStrategy)
+	}
+
+	/**
+	 * Generator method to create data from a chunk.
+	 *
+	 * The default implementation throws an Error.
+	 *
+	 * @param {A} chunk - The chunk to process
+	 * @param {undefined} encoding Always undefined, as web streams don't have encodings.
+	 * @param {GeneratorContext} context
+	 * @yields {InflatedData<B>|Promise<InflatedData<B>>|NestedSource<B>} A chunk of data
+	 */
+	// noinspection JSUnusedLocalSymbols
+	*_inflate(chunk, encoding, context) {
+		throw new Error("Unimplemented")
+	}
+
+	/**
+	 * Generator method that is called when the writable side is closed.
+	 *
+	 * By default, yields null.
+	 *
+	 * @param {GeneratorContext} context
+	 * @yields {InflatedData<B>|Promise<InflatedData<B>>|NestedSource<B>|null} A chunk of data
+	 */
+	// noinspection JSUnusedLocalSymbols
+	*_burst(context) {
+		yield null
+	}
+
+	/**
+	 * @returns {GeneratorContext} The context given to generators.
+	 * @private
+	 */
+	_generatorContext() {
+		return {
+			signal: this._abortController.signal
+		}
+	}
+
+	/**
+	 * Enqueues the values from a generator, pausing it whenever the readable side is full.
+	 *
+	 * If the generator can't be created, or throws, both sides of the stream are errored.
+	 *
+	 * @param {() => Generator|AsyncGenerator} factory
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _enqueueAll(factory) {
+		if (this._ended) {
+			throw new TypeError("The stream has ended")
+		}
+
+		let generator
+
+		try {
+			let status
+
+			// errors creating the generator should error the readable side too.
+			generator = factory()
+			this._generator = generator
+
+			for (let result = await generator.next(); !result.done; result = await generator.next(status)) {
+				status = await this._enqueueYieldedValue(await result.value)
+
+				if (this._ended) {
+					return closeGenerator(generator)
+				}
+			}
+		}
+		catch (err) {
+			this._readableController.error(err)
+
+			throw err
+		}
+		finally {
+			this._generator = null
+		}
+	}
+
+	/**
+	 * @param {InflatedData<B>|NestedSource<B>|null} value
+	 * @returns {Promise<YieldStatus|undefined>} The status of the readable side after the value was enqueued.
+	 * @private
+	 */
+	async _enqueueYieldedValue(value) {
+		if (isNestedSource(value)) {
+			let status
+			let result = { done: false }
+			const iterator = nestedIterator(value)
+
+			this._nestedIterators.add(iterator)
+
+			try {
+				for (result = await iterator.next(); !result.done && !this._ended; result = await iterator.next()) {
+					status = await this._enqueueYieldedValue(await result.value)
+				}
+			}
+			finally {
+				this._nestedIterators.delete(iterator)
+
+				if (!result.done) {
+					// the stream ended, or enqueueing failed, before the source finished.
+					closeGenerator(iterator)
+				}
+			}
+
+			return status
+		}
+
+		if (value === null) {
+			this._end()
+
+			return undefined
+		}
+
+		this._readableController.enqueue(value.chunk)
+
+		const full = !(this._readableController.desiredSize > 0)
+		const started = Date.now()
+
+		if (full) {
+			await new Promise((resolve) => this._pulled = resolve)
+		}
+
+		return {
+			full,
+			readableLength: this._highWaterMark - (this._readableController.desiredSize || 0),
+			highWaterMark: this._highWaterMark,
+			waitedMs: Date.now() - started
+		}
+	}
+
+	/**
+	 * Called when the readable side wants more data, which resumes a paused generator.
+	 *
+	 * @private
+	 */
+	_pull() {
+		const pulled = this._pulled
+		this._pulled = null
+
+		if (pulled) {
+			pulled()
+		}
+	}
+
+	/**
+	 * Closes the readable side, and stops any more values being enqueued.
+	 *
+	 * @private
+	 */
+	_end() {
+		if (!this._ended) {
+			this._ended = true
+			this._readableController.close()
+		}
+	}
+
+	/**
+	 * Called when either side of the stream is cancelled or aborted.
+	 *
+	 * The running generator, and any nested sources it yielded, are closed, and given an aborted
+ * signal.
+	 *
+	 * @param {any} reason
+	 * @private
+	 */
+	_cancel(reason) {
+		this._ended = true
+		this._abortController.abort(reason)
+
+		if (this._generator) {
+			closeGenerator(this._generator)
+		}
+
+		this._nestedIterators.forEach(closeGenerator)
+		this._nestedIterators.clear()
+
+		this._readableController.error(reason)
+		this._writableController.error(reason)
+
+		// let a paused generator see that the stream has ended.
+		this._pull()
+	}
+}
+
+/**
+ * Fuses generators into a single `inflate` and `burst` pair, so that a chunk is inflated by
+ * each stage in turn without a stream between them.
+ *
+ * Each value yielded by a stage is inflated by the next stage, and the values yielded by the
+ * last stage are pushed. The status from pushing a value is given back to every stage that
+ * produced it. When the stream is flushed, each stage bursts in order, and the values are
+ * inflated by the stages after it. Stages can be sync or async generators, and can yield
+ * Promises or nested sources.
+ *
+ * The generators are called with `this` as the stream.
+ *
+ * @param {...(Stage|InflatingGenerator)} stages
+ * @returns {{ inflate: InflatingGenerator, burst: BurstingGenerator }} Options for the InflatingTransform constructor.
+ */
+const compose = (...stages) => {
+	const composed = stages.map((stage) => typeof stage === "function" ? { inflate: stage } : stage)
+
+	return {
+		inflate: async function* (chunk, encoding, context) {
+			return yield* inflateThrough.call(this, composed, { chunk, encoding }, context)
+		},
+		burst: async function* (context) {
+			for (let i = 0; i < composed.length; i++) {
+				if (composed[i].burst) {
+					yield* pushThrough.call(this, composed.slice(i + 1), composed[i].burst.call(this, context), context, true)
+				}
+			}
+		}
+	}
+}
+
+/**
+ * Inflates a value with the first of the stages, and the values it yields with the rest.
+ *
+ * @param {Stage[]} stages
+ * @param {InflatedData} data
+ * @param {GeneratorContext} context
+ * @returns {AsyncGenerator<InflatedData|null, YieldStatus|undefined>}
+ * @private
+ */
+async function* inflateThrough(stages, data, context) {
+	if (stages.length === 0) {
+		return yield data
+	}
+
+	const [ stage, ...rest ] = stages
+
+	return yield* pushThrough.call(this, rest, stage.inflate.call(this, data.chunk, data.encoding, context), context)
+}
+
+/**
+ * Inflates the values yielded by a generator with the stages after it.
+ *
+ * @param {Stage[]} stages
+ * @param {Generator|AsyncGenerator} generator
+ * @param {GeneratorContext} context
+ * @param {boolean} [bursting=false] Whether the generator is bursting, in which case `null` is ignored rather than ending the stream.
+ * @returns {AsyncGenerator<InflatedData|null, YieldStatus|undefined>}
+ * @private
+ */
+async function* pushThrough(stages, generator, context, bursting = false) {
+	let status
+
+	try {
+		for (let result = await generator.next(); !result.done; result = await generator.next(status)) {
+			for await (const value of flattenYieldedValue(await result.value)) {
+				if (value === null) {
+					if (!bursting) {
+						status = yield null
+					}
+
+					continue
+				}
+
+				status = yield* inflateThrough.call(this, stages, value, context)
+			}
+		}
+	}
+	finally {
+		closeGenerator(generator)
+	}
+
+	return status
+}
+
+/**
+ * @param {InflatedData|NestedSource|null} value
+ * @yields {InflatedData|null} The value, or the values from a nested source.
+ * @private
+ */
+async function* flattenYieldedValue(value) {
+	if (!isNestedSource(value)) {
+		return yield value
+	}
+
+	const iterator = nestedIterator(value)
+
+	for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+		yield await result.value
+	}
+}
+
+/**
+ * Creates a stage which maps each value.
+ *
+ * Values are pushed without an encoding.
+ *
+ * @param {(chunk: any) => any|Promise<any>} fn
+ * @returns {Stage}
+ */
+const map = (fn) => ({
+	inflate: async function* (chunk) {
+		yield { chunk: await fn(chunk) }
+	}
+})
+
+/**
+ * Creates a stage which only yields the values that match a predicate.
+ *
+ * @param {(chunk: any) => boolean|Promise<boolean>} predicate
+ * @returns {Stage}
+ */
+const filter = (predicate) => ({
+	inflate: async function* (chunk, encoding) {
+		if (await predicate(chunk)) {
+			yield { chunk, encoding }
+		}
+	}
+})
+
+/**
+ * Creates a stage which maps each value to any number of values.
+ *
+ * Values are pushed without an encoding.
+ *
+ * @param {(chunk: any) => Iterable<any>|AsyncIterable<any>|Promise<Iterable<any>>} fn
+ * @returns {Stage}
+ */
+const flatMap = (fn) => ({
+	inflate: async function* (chunk) {
+		for await (const value of await fn(chunk)) {
+			yield { chunk: value }
+		}
+	}
+})
+
+/**
+ * Creates a stage which only yields the first values, and drops the rest.
+ *
+ * The count is kept for each stream the stage is used in.
+ *
+ * @param {number} n How many values to yield.
+ * @returns {Stage}
+ */
+const take = (n) => {
+	const taken = new WeakMap()
+
+	return {
+		inflate: function* (chunk, encoding) {
+			const count = taken.get(this) || 0
+
+			if (count < n) {
+				taken.set(this, count + 1)
+
+				yield { chunk, encoding }
+			}
+		}
+	}
+}
+
+/**
+ * Creates a stage which yields values in arrays of a size, and yields any remaining values when
+ * the stream is flushed.
+ *
+ * The batch is kept for each stream the stage is used in.
+ *
+ * @param {number} size How many values to put in each array.
+ * @returns {Stage}
+ */
+const batch = (size) => {
+	const batches = new WeakMap()
+
+	return {
+		inflate: function* (chunk) {
+			const values = batches.get(this) || []
+
+			values.push(chunk)
+
+			if (values.length < size) {
+				batches.set(this, values)
+
+				return
+			}
+
+			batches.delete(this)
+
+			yield { chunk: values }
+		},
+		burst: function* () {
+			const values = batches.get(this)
+
+			batches.delete(this)
+
+			if (values) {
+				yield { chunk: values }
+			}
+		}
+	}
+}
+
+/**
+ * Trampoline executor that runs a function until next returns a non-function value.
+ *
+ * This is because v8 doesn't support TCO.
+ *
+ * @param {NextFunction|null} next What to do next
+ * @return null Signal no more work to be done
+ * @private
+ */
+const trampoline = (next) => {
+	while (typeof next === "function") {
+		next = next()
+	}
+
+	return null;
+}
+
+/**
+ * Thrown when a generator takes too long.
+ */
+class InflateTimeoutError extends Error {
+	/**
+	 * @param {Timeout} timeout Which timeout elapsed.
+	 * @param {number} ms How long the timeout was.
+	 * @param {Task} task What the generator was doing.
+	 */
+	constructor(timeout, ms, task) {
+		super(timeoutMessage(timeout, ms))
+
+		this.name = "InflateTimeoutError"
+
+		/** @type {Timeout} */
+		this.timeout = timeout
+		this.ms = ms
+
+		/** @type {Phase} */
+		this.phase = task.phase
+
+		/** The chunk being inflated. Undefined when bursting. */
+		this.chunk = task.chunk
+		this.encoding = task.encoding
+
+		/** How many values had been pushed before the timeout elapsed. */
+		this.pushed = task.pushed
+	}
+}
+
+/**
+ * Thrown when the stream stalls, if the watchdog is configured to error.
+ */
+class InflateStallError extends Error {
+	/**
+	 * @param {Stall} stall
+	 */
+	constructor(stall) {
+		super(`Stalled for ${stall.waitedMs}ms waiting for ${stall.waitingFor === StallReason.READY ? "the stream to be ready" : "a yielded value"}`)
+
+		this.name = "InflateStallError"
+
+		/** @type {Stall} */
+		this.stall = stall
+	}
+}
+
+/**
+ * Thrown when more has overflowed than the overflow option allows.
+ */
+class InflateOverflowError extends Error {
+	/**
+	 * @param {number} maxBytes
+	 */
+	constructor(maxBytes) {
+		super(`Overflowed more than ${maxBytes} bytes waiting for the stream to be ready`)
+
+		this.name = "InflateOverflowError"
+
+		/** How many bytes could overflow. */
+		this.maxBytes = maxBytes
+	}
+}
+
+// timeoutMessage :: (Timeout, Integer) -> String
+const timeoutMessage = (timeout, ms) => {
+	switch (timeout) {
+		case Timeout.YIELD:
+			return `Timed out after ${ms}ms waiting for a yielded value`
+
+		case Timeout.CHUNK:
+			return `Timed out after ${ms}ms inflating a chunk`
+
+		default:
+			return `Timed out after ${ms}ms bursting`
+	}
+}
+
+/**
+ * Which timeout elapsed.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const Timeout = {
+	YIELD: "yield",
+	CHUNK: "chunk",
+	BURST: "burst"
+}
+
+/**
+ * Names of the `node:diagnostics_channel` channels that the stream publishes to.
+ *
+ * Messages are only published when a channel has subscribers. Every message has a `stream`
+ * property, which is the stream that published it.
+ *
+ * - `chunk` when a chunk is written, with the chunk `index` and how many `bytes` it has.
+ * - `push` when a value is pushed, with the `phase`, `chunkIndex` and how many `bytes` were pushed.
+ * - `pause` when the Readable buffer is full, with the `phase` and `chunkIndex`.
+ * - `resume` when a generator resumes after waiting for the stream to be ready, with the `phase`, `chunkIndex` and `waitedMs`.
+ * - `promise` when a yielded Promise settles, with the `phase`, `chunkIndex` and `waitedMs`.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const ChannelName = {
+	CHUNK: "inflating-transform:chunk",
+	PUSH: "inflating-transform:push",
+	PAUSE: "inflating-transform:pause",
+	RESUME: "inflating-transform:resume",
+	PROMISE: "inflating-transform:promise"
+}
+
+/**
+ * @private
+ */
+const channels = {
+	chunk: diagnosticsChannel.channel(ChannelName.CHUNK),
+	push: diagnosticsChannel.channel(ChannelName.PUSH),
+	pause: diagnosticsChannel.channel(ChannelName.PAUSE),
+	resume: diagnosticsChannel.channel(ChannelName.RESUME),
+	promise: diagnosticsChannel.channel(ChannelName.PROMISE)
+}
+
+// publish :: (Channel, Object) -> void
+const publish = (channel, message) => {
+	if (channel.hasSubscribers) {
+		channel.publish(message)
+	}
+}
+
+// newPhaseStats :: () -> PhaseStats
+const newPhaseStats = () => ({
+	valuesPushed: 0,
+	bytesOut: 0,
+	pauses: 0,
+	readyWaitMs: 0,
+	maxReadyWaitMs: 0,
+	promiseWaitMs: 0,
+	rateLimitWaitMs: 0
+})
+
+/**
+ * What a stalled generator is waiting for.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const StallReason = {
+	READY: "ready",
+	PROMISE: "promise"
+}
+
+/**
+ * Whether a generator is inflating a chunk, bursting at the end of a window, or bursting when
+ * the stream is flushed.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const Phase = {
+	INFLATE: "inflate",
+	WINDOW: "window",
+	BURST: "burst"
+}
 
-			return next(result);
+/**
+ * What to do when inflating a chunk fails.
+ *
+ * - `fail` passes the error to the transform callback, which errors the stream.
+ * - `skip` ignores the error, and moves on to the next chunk. Values yielded for the chunk before
+ *   it failed are still pushed.
+ * - `retry` inflates the chunk again. Values yielded for the chunk before it failed are pushed
+ *   again.
+ * - `deadLetter` writes an `InflateFailure` to a Writable stream, or emits it as an
+ *   `inflateError` event, and moves on to the next chunk. Values yielded for the chunk before
+ *   it failed are still pushed.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const ErrorPolicy = {
+	FAIL: "fail",
+	SKIP: "skip",
+	RETRY: "retry",
+	DEAD_LETTER: "deadLetter"
+}
+
+// toErrorPolicy :: (ErrorPolicy|ErrorPolicyOptions)? -> ErrorPolicyOptions
+const toErrorPolicy = (onError = ErrorPolicy.FAIL) => {
+	const options = typeof onError === "string" ? { policy: onError } : onError
+	const policy = {
+		attempts: 3,
+		backoff: 0,
+		fallback: ErrorPolicy.FAIL,
+		...options
+	}
+	const policies = Object.values(ErrorPolicy)
+
+	if (!policies.includes(policy.policy) || !policies.includes(policy.fallback) || policy.fallback === ErrorPolicy.RETRY) {
+		throw new TypeError(`onError must be one of ${policies.join(", ")}, got ${policy.policy}`)
+	}
+
+	return policy
+}
+
+/**
+ * Represents the status of the Readable stream buffer.
+ *
+ * @enum {string}
+ * @private
+ * @readonly
+ */
+const ReadableBufferStatus = {
+	NOT_FULL: "NOT_FULL",
+	FULL: "FULL",
+	FINISHED: "FINISHED"
+}
+
+// isFull :: ReadableBufferStatus -> Boolean
+const isFull = (status) => status === ReadableBufferStatus.FULL
+
+// isNotFull :: ReadableBufferStatus -> Boolean
+const isNotFull = (status) => status === ReadableBufferStatus.NOT_FULL
+
+/**
+ * Closes a generator so that any `finally` blocks are run.
+ *
+ * A generator that is currently running can't be closed. It will be closed when it yields
+ * back to the stream.
+ *
+ * @param {Generator|AsyncGenerator} generator
+ * @private
+ */
+const closeGenerator = (generator) => {
+	try {
+		const result = generator.return(undefined);
+
+		// an AsyncGenerator will close after any pending work is done.
+		if (isPromiseLike(result)) {
+			result.then(undefined, noop)
 		}
-		catch (e) {
-			return voidToNull(() => callback(e))
+	}
+	catch (e) {
+		// errors are ignored as the stream is being destroyed.
+	}
+}
+
+/**
+ * Pushes the chunks read from a Readable stream, or a web ReadableStream, as InflatedData.
+ *
+ * @param {Readable|ReadableStream} readable
+ * @yields {InflatedData}
+ * @private
+ */
+async function* readableToInflatedData(readable) {
+	const encoding = readable.readableEncoding || undefined
+
+	for await (const chunk of readable) {
+		yield { chunk, encoding }
+	}
+}
+
+// nestedIterator :: NestedSource -> Iterator|AsyncIterator
+const nestedIterator = (source) => {
+	if (source instanceof Readable || source instanceof ReadableStream) {
+		return readableToInflatedData(source)
+	}
+
+	return typeof source[Symbol.asyncIterator] === "function"
+		? source[Symbol.asyncIterator]()
+		: source[Symbol.iterator]()
+}
+
+// isRouted :: InflatedData -> Boolean
+const isRouted = (data) => data !== null && typeof data.output === "string"
+
+// isNestedSource :: a -> Boolean
+const isNestedSource = (a) =>
+	a !== null && typeof a === "object" &&
+		(typeof a[Symbol.asyncIterator] === "function" || typeof a[Symbol.iterator] === "function")
+
+/**
+ * The smallest slice that can hold any character.
+ *
+ * @private
+ */
+const MIN_CHUNK_SIZE = 4
+
+// isOversized :: (InflatedData, Integer) -> Boolean
+const isOversized = (data, maxChunkSize) =>
+	data !== null && chunkLength(data) > maxChunkSize
+
+// chunkLength :: InflatedData -> Integer
+const chunkLength = ({ chunk, encoding }) => {
+	if (typeof chunk === "string") {
+		return Buffer.byteLength(chunk, encoding)
+	}
+
+	return chunk instanceof Uint8Array ? chunk.length : 0
+}
+
+/**
+ * Slices a Buffer or string into chunks no larger than the given size.
+ *
+ * @param {InflatedData<Buffer|Uint8Array|string>} data
+ * @param {number} size
+ * @yields {InflatedData<Buffer|Uint8Array|string>}
+ * @private
+ */
+function* sliceInflatedData({ chunk, encoding, ...data }, size) {
+	if (typeof chunk !== "string") {
+		for (let start = 0; start < chunk.length; start += size) {
+			yield { ...data, chunk: chunk.subarray(start, start + size), encoding }
 		}
+
+		return
 	}
 
-	/**
-	 * Handles the logic of pushing a yielded value from a generator.
-	 *
-	 * @param {IteratorResult<InflatedData<B>>} value
-	 * @param {Generator<A, InflatedData<B>|Promise<InflatedData<B>>|AsyncGenerator<A, InflatedData<B>>|null>} generator
-	 * @param {TransformCallback} callback
-	 * @return {NextFunction|null} Returns a function for what to do next, or null if nothing is to be done.
-	 */
-	_pushYieldedValue(value, generator, callback) {
-		const done = voidToNull(callback);
-		const next = () => this._pushNextValue(generator, callback)
+	const buffer = Buffer.from(chunk, encoding)
 
-		if (value.done) {
-			return done;
+	for (let start = 0; start < buffer.length;) {
+		const end = characterBoundary(buffer, Math.min(start + size, buffer.length), encoding)
+
+		yield { ...data, chunk: buffer.toString(encoding, start, end), encoding }
+
+		start = end
+	}
+}
+
+/**
+ * Finds the nearest character boundary at or before an index in an encoded string.
+ *
+ * @param {Buffer} buffer An encoded string
+ * @param {number} index
+ * @param {BufferEncoding|undefined} encoding
+ * @returns {number}
+ * @private
+ */
+const characterBoundary = (buffer, index, encoding) => {
+	if (index >= buffer.length) {
+		return buffer.length
+	}
+
+	switch (String(encoding || "utf8").toLowerCase().replace("-", "")) {
+		case "utf8":
+			// continuation bytes are 10xxxxxx
+			while ((buffer[index] & 0xC0) === 0x80) {
+				index--
+			}
+
+			return index
+
+		case "utf16le":
+		case "ucs2":
+			index -= index % 2
+
+			// don't split a surrogate pair
+			return isHighSurrogate(buffer.readUInt16LE(index - 2)) ? index - 2 : index
+
+		default:
+			return index
+	}
+}
+
+// isHighSurrogate :: Integer -> Boolean
+const isHighSurrogate = (codeUnit) => codeUnit >= 0xD800 && codeUnit <= 0xDBFF
+
+// isCheckpoint :: a -> Boolean
+const isCheckpoint = (a) =>
+	a !== null && typeof a === "object" &&
+		Number.isInteger(a.inputIndex) && a.inputIndex >= -1 &&
+		Number.isInteger(a.outputOffset) && a.outputOffset >= 0
+
+// isWorkerOptions :: a -> Boolean
+const isWorkerOptions = (a) =>
+	a !== null && typeof a === "object" && typeof a.module === "string" &&
+		(a.export === undefined || typeof a.export === "string") &&
+		(a.poolSize === undefined || (Number.isInteger(a.poolSize) && a.poolSize > 0))
+
+/**
+ * The script run by worker threads.
+ *
+ * @private
+ */
+const WORKER_SCRIPT = path.join(__dirname, "worker.js")
+
+/**
+ * @typedef {Object} WorkerPool Worker threads which run the generators from a module.
+ * @property {InflatingGenerator} inflate Inflates a chunk in a worker thread.
+ * @property {BurstingGenerator} burst Bursts in each worker thread, one after the other.
+ * @property {() => void} terminate Stops the worker threads.
+ * @private
+ */
+
+/**
+ * @typedef {Object} PooledWorker
+ * @property {Worker} worker
+ * @property {Inbox|null} inbox Where messages for the generator being run are delivered.
+ * @private
+ */
+
+/**
+ * Creates a pool of worker threads, which are started as they're needed.
+ *
+ * Each worker runs one generator at a time. The values yielded in the worker are yielded
+ * from a generator in the main thread, and the worker isn't resumed until the value has been
+ * pushed. Workers don't keep the process running while they're idle.
+ *
+ * @param {WorkerOptions} options
+ * @param {number} poolSize
+ * @returns {WorkerPool}
+ * @private
+ */
+const newWorkerPool = (options, poolSize) => {
+	/** @type {Set<PooledWorker>} */
+	const workers = new Set()
+
+	/** @type {PooledWorker[]} */
+	const idle = []
+
+	/** @type {((pooled: PooledWorker) => void)[]} */
+	const waiting = []
+
+	let terminated = false
+
+	const spawn = () => {
+		/** @type {PooledWorker} */
+		const pooled = {
+			worker: new Worker(WORKER_SCRIPT, { workerData: { module: options.module, export: options.export } }),
+			inbox: null
 		}
 
-		const bufferStatus = this._pushInflatedData(value.value);
+		pooled.worker.unref()
+		pooled.worker.on("message", (message) => {
+			const inbox = pooled.inbox
 
-		if (isFull(bufferStatus)) {
-			this.once("ready", () => this._resumePushing(next));
+			if (message.type !== "value") {
+				// the worker has finished running the generator.
+				release(pooled)
+			}
 
-			// Nothing to do while waiting for a 'ready' event
-			return null;
+			if (inbox) {
+				inbox.deliver(message)
+			}
+		})
+		pooled.worker.on("error", (error) => crashed(pooled, error))
+		pooled.worker.on("exit", (code) => crashed(pooled, new Error(`Worker exited with code ${code}`)))
+
+		workers.add(pooled)
+
+		return pooled
+	}
+
+	const crashed = (pooled, error) => {
+		if (!workers.delete(pooled)) {
+			return
 		}
 
-		if (isNotFull(bufferStatus)) {
-			// continue pushing
-			return next;
+		if (idle.includes(pooled)) {
+			idle.splice(idle.indexOf(pooled), 1)
 		}
 
-		// we need to stop pushing as the stream is finished
-		return done;
+		if (pooled.inbox) {
+			pooled.inbox.deliver({ type: "error", error })
+			pooled.inbox = null
+		}
+
+		if (!terminated && waiting.length > 0) {
+			waiting.shift()(spawn())
+		}
 	}
 
-	/**
-	 * Pushes a single value to the Readable stream.
-	 *
-	 * @param {InflatedData<B>|null} data
-	 * @returns {ReadableBufferStatus}
-	 * @private
-	 */
-	_pushInflatedData(data) {
-		if (data === null) {
-			this.push(null);
+	const acquire = () => {
+		if (idle.length > 0) {
+			return Promise.resolve(idle.pop())
+		}
 
-			return ReadableBufferStatus.FINISHED
+		if (workers.size < poolSize) {
+			return Promise.resolve(spawn())
+		}
+
+		return new Promise((resolve) => waiting.push(resolve))
+	}
+
+	const release = (pooled) => {
+		pooled.inbox = null
+		pooled.worker.unref()
+
+		if (waiting.length > 0) {
+			waiting.shift()(pooled)
 		}
 		else {
-			const more = this.push(data.chunk, data.encoding);
+			idle.push(pooled)
+		}
+	}
+
+	async function* run(pooled, request) {
+		const inbox = newInbox()
+		let finished = false
+
+		pooled.inbox = inbox
+		pooled.worker.ref()
+		pooled.worker.postMessage(request)
+
+		try {
+			for (;;) {
+				const message = await inbox.receive()
+
+				if (message.type === "value") {
+					const status = yield fromWorker(message.value)
+
+					pooled.worker.postMessage({ type: "ack", status })
+
+					continue
+				}
+
+				finished = true
+
+				if (message.type === "error") {
+					throw message.error
+				}
+
+				return
+			}
+		}
+		finally {
+			if (!finished) {
+				// the generator has been closed, so stop the generator in the worker.
+				pooled.worker.postMessage({ type: "cancel" })
+			}
+		}
+	}
+
+	return {
+		inflate: async function* (chunk, encoding) {
+			yield* run(await acquire(), { type: "inflate", chunk, encoding })
+		},
+		burst: async function* () {
+			if (workers.size === 0) {
+				idle.push(spawn())
+			}
+
+			for (const pooled of [ ...idle ]) {
+				idle.splice(idle.indexOf(pooled), 1)
+
+				const values = run(pooled, { type: "burst" })
+
+				try {
+					let status
 
-			return more ? ReadableBufferStatus.NOT_FULL : ReadableBufferStatus.FULL
+					for (let result = await values.next(); !result.done; result = await values.next(status)) {
+						// the stream ends once every worker has burst.
+						status = result.value === null ? undefined : yield result.value
+					}
+				}
+				finally {
+					await values.return()
+				}
+			}
+		},
+		terminate: () => {
+			terminated = true
+
+			workers.forEach(({ worker }) => worker.terminate())
+			workers.clear()
+			idle.length = 0
+			waiting.length = 0
 		}
 	}
 }
 
 /**
- * Trampoline executor that runs a function until next returns a non-function value.
+ * @typedef {Object} Inbox Messages from a worker, waiting to be received.
+ * @property {(message: Object) => void} deliver
+ * @property {() => Promise<Object>} receive
+ * @private
+ */
+
+// newInbox :: () -> Inbox
+const newInbox = () => {
+	const messages = []
+	let receiver = null
+
+	return {
+		deliver: (message) => {
+			if (receiver) {
+				const resolve = receiver
+				receiver = null
+
+				return resolve(message)
+			}
+
+			messages.push(message)
+		},
+		receive: () =>
+			messages.length > 0
+				? Promise.resolve(messages.shift())
+				: new Promise((resolve) => receiver = resolve)
+	}
+}
+
+// fromWorker :: InflatedData -> InflatedData
+const fromWorker = (value) =>
+	value !== null && value.chunk instanceof Uint8Array && !Buffer.isBuffer(value.chunk)
+		? { ...value, chunk: Buffer.from(value.chunk.buffer, value.chunk.byteOffset, value.chunk.byteLength) }
+		: value
+
+// isOverflowOptions :: a -> Boolean
+const isOverflowOptions = (a) =>
+	a !== null && typeof a === "object" &&
+		typeof a.memory === "number" && a.memory >= 0 &&
+		typeof a.maxBytes === "number" && a.maxBytes > 0 && a.maxBytes >= a.memory &&
+		(a.dir === undefined || typeof a.dir === "string")
+
+// newCoalesced :: () -> Object
+const newCoalesced = () => ({
+	values: [],
+	bytes: 0,
+	timer: null,
+	checkpoints: []
+})
+
+// newOverflowed :: () -> Object
+const newOverflowed = () => ({
+	memory: [],
+	memoryBytes: 0,
+	bytes: 0,
+	drainedBytes: 0,
+	checkpoints: [],
+	file: null,
+	removing: null,
+	ended: false,
+	drained: null
+})
+
+// isRateLimitOptions :: a -> Boolean
+const isRateLimitOptions = (a) =>
+	a !== null && typeof a === "object" &&
+		(a.items === undefined) !== (a.bytes === undefined) &&
+		[ "items", "bytes", "per", "burst" ].every((key) =>
+			(a[key] === undefined && key !== "per") || (typeof a[key] === "number" && a[key] > 0)
+		)
+
+// bucketCapacity :: RateLimitOptions -> Number
+const bucketCapacity = ({ items, bytes, burst }) => burst || items || bytes
+
+// isWindowOptions :: a -> Boolean
+const isWindowOptions = (a) =>
+	a !== null && typeof a === "object" && (a.items !== undefined || a.ms !== undefined) &&
+		[ "items", "ms" ].every((key) => a[key] === undefined || (typeof a[key] === "number" && a[key] > 0))
+
+// newWindow :: Integer -> WindowInfo
+const newWindow = (index) => ({
+	index,
+	firstInputIndex: null,
+	items: 0,
+	startedAt: null
+})
+
+// isCoalesceOptions :: a -> Boolean
+const isCoalesceOptions = (a) =>
+	a !== null && typeof a === "object" &&
+		[ "bytes", "items", "ms" ].every((key) => a[key] === undefined || (typeof a[key] === "number" && a[key] > 0))
+
+/**
+ * Combines values into a single value.
  *
- * This is because v8 doesn't support TCO.
+ * Strings with the same encoding are joined. Otherwise, chunks are concatenated into a Buffer.
  *
- * @param {NextFunction|null} next What to do next
- * @return null Signal no more work to be done
+ * @param {InflatedData[]} values
+ * @param {boolean} objectMode If true, the chunks are combined into an array.
+ * @returns {InflatedData}
  * @private
  */
-const trampoline = (next) => {
-	while (typeof next === "function") {
-		next = next()
-	}
+const combineInflatedData = (values, objectMode) => {
+	const lineage = values.flatMap((value) => value[LINEAGE] || [])
+	const combined = objectMode ? { chunk: values.map(({ chunk }) => chunk) } : concatInflatedData(values)
 
-	return null;
+	return lineage.length > 0 ? { ...combined, [LINEAGE]: lineage } : combined
+}
+
+// concatInflatedData :: [InflatedData] -> InflatedData
+const concatInflatedData = (values) => {
+	const { encoding } = values[0]
+
+	return values.every((value) => typeof value.chunk === "string" && value.encoding === encoding)
+		? { chunk: values.map(({ chunk }) => chunk).join(""), encoding }
+		: {
+			chunk: Buffer.concat(values.map(({ chunk, encoding }) =>
+				typeof chunk === "string" ? Buffer.from(chunk, encoding) : chunk
+			))
+		}
 }
 
 /**
- * Represents the status of the Readable stream buffer.
+ * Where the lineage of a value is kept until it is pushed.
  *
- * @enum {string}
  * @private
- * @readonly
  */
-const ReadableBufferStatus = {
-	NOT_FULL: "NOT_FULL",
-	FULL: "FULL",
-	FINISHED: "FINISHED"
-}
+const LINEAGE = Symbol("lineage")
 
-// isFull :: ReadableBufferStatus -> Boolean
-const isFull = (status) => status === ReadableBufferStatus.FULL
+// followSignal :: (AbortSignal, AbortController) -> (() -> void)
+const followSignal = (signal, controller) => {
+	const abort = () => controller.abort(signal.reason)
 
-// isNotFull :: ReadableBufferStatus -> Boolean
-const isNotFull = (status) => status === ReadableBufferStatus.NOT_FULL
+	if (signal.aborted) {
+		abort()
+
+		return noop
+	}
+
+	signal.addEventListener("abort", abort, { once: true })
+
+	return () => signal.removeEventListener("abort", abort)
+}
+
+// noop :: () -> void
+const noop = () => {}
 
 // isPromiseLike :: a -> Boolean
 const isPromiseLike = (a) =>
@@ -376,3 +3645,31 @@ const voidToNull = (fn) => () => {
 }
 
 module.exports = InflatingTransform
+module.exports.ErrorPolicy = ErrorPolicy
+module.exports.InflateTimeoutError = InflateTimeoutError
+module.exports.InflateStallError = InflateStallError
+module.exports.InflateOverflowError = InflateOverflowError
+module.exports.InflatingTransformStream = InflatingTransformStream
+module.exports.compose = compose
+module.exports.map = map
+module.exports.filter = filter
+module.exports.flatMap = flatMap
+module.exports.take = take
+module.exports.batch = batch
+module.exports.ChannelName = ChannelName
+
+/*
+ * The transforms which extend InflatingTransform are in modules of their own, which require
+ * this one. So that either module can be required first, they're loaded when first used.
+ */
+
+// exportFrom :: (String, [String]) -> void
+const exportFrom = (file, names) =>
+	names.forEach((name) => Object.defineProperty(module.exports, name, {
+		enumerable: true,
+		get: () => require(file)[name]
+	}))
+
+exportFrom("./framing", [ "FramingInflatingTransform", "Framing", "InflateFrameSizeError" ])
+exportFrom("./json", [ "JsonInflatingTransform", "JsonFormat", "JsonNull", "InflateJsonError" ])
+exportFrom("./decompressing", [ "DecompressingTransform", "CompressionFormat", "InflateLimitError" ])
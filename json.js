@@ -0,0 +1,629 @@
+const InflatingTransform = require("./index")
+const { ErrorPolicy } = InflatingTransform
+const { EMPTY_BUFFER, toBuffer } = require("./bytes")
+
+/*
+ * An InflatingTransform which parses the bytes written to it as JSON, and pushes the elements
+ * of an array in the document, or each value in NDJSON. It's exported by index.js too.
+ */
+
+/**
+ * @typedef {Object} JsonInflatingTransformOptions
+ * @extends InflatingTransformOptions
+ * @property {JsonFormat} [format="array"] Whether the bytes written to the stream are a JSON document with an array, or NDJSON.
+ * @property {string} [path=""] A JSON pointer to the array in the document to push the elements of. By default, the document is the array.
+ * @property {any} [nullValue=JsonNull] What to push for `null` elements, as pushing `null` ends a stream.
+ */
+
+/**
+ * An InflatingTransform that parses the bytes written to it as JSON, and pushes each element of
+ * an array in the document, or each value in NDJSON, as an object.
+ *
+ * The JSON is parsed incrementally as chunks are written, so the document can be split across
+ * chunks, and an element is pushed as soon as it has been parsed. A chunk with many elements
+ * is paused when the Readable buffer is full, like any other generator. By default the
+ * document is the array, but the option `path` can be a JSON pointer (eg: `/data/items`) to an
+ * array in the document. Only the elements are kept in memory while parsing.
+ *
+ * As pushing `null` ends a stream, `null` elements are pushed as the option `nullValue`, which
+ * is `JsonNull` by default.
+ *
+ * In NDJSON, each value must be on its own line.
+ *
+ * Invalid JSON errors the stream with an `InflateJsonError`, which has the byte offset of the
+ * error in all the bytes written, and the index of the chunk it was in.
+ *
+ * As the JSON is parsed in order, chunks can't be inflated concurrently, errors can't be
+ * skipped or retried, and the stream can't be resumed from a checkpoint.
+ */
+class JsonInflatingTransform extends InflatingTransform {
+	/**
+	 * @param {JsonInflatingTransformOptions} [opts]
+	 */
+	constructor(opts = {}) {
+		super({ ...opts, readableObjectMode: true })
+
+		if (this._concurrency > 1 || opts.worker !== undefined) {
+			throw new TypeError("JSON can't be parsed concurrently")
+		}
+
+		if (this._errorPolicy.policy !== ErrorPolicy.FAIL || opts.resumeFrom !== undefined) {
+			throw new TypeError("JSON can't be parsed from part way through")
+		}
+
+		if (opts.path !== undefined && opts.format === JsonFormat.NDJSON) {
+			throw new TypeError("path can't be used with NDJSON")
+		}
+
+		if (opts.nullValue === null) {
+			throw new TypeError("nullValue can't be null, as pushing null ends a stream")
+		}
+
+		this._scanner = new JsonScanner(toJsonFormat(opts.format), toPointer(opts.path))
+		this._nullValue = opts.nullValue === undefined ? JsonNull : opts.nullValue
+	}
+
+	/**
+	 * @override
+	 */
+	_flush(callback) {
+		this._pushFinal(() => this._finish(), (err) => err ? callback(err) : super._flush(callback))
+	}
+
+	/**
+	 * Parses a chunk, and yields each element completed by it.
+	 *
+	 * @override
+	 * @param {Buffer|string} chunk
+	 * @param {BufferEncoding|undefined} encoding
+	 * @yields {InflatedData<any>}
+	 */
+	*_inflate(chunk, encoding) {
+		for (const value of this._scanner.write(toBuffer(chunk, encoding))) {
+			yield this._element(value)
+		}
+	}
+
+	/**
+	 * Yields an element completed by the end of the input, and checks that the document is
+	 * complete.
+	 *
+	 * @yields {InflatedData<any>}
+	 * @throws {InflateJsonError}
+	 * @private
+	 */
+	*_finish() {
+		// a number or literal at the end of the input is only complete once the input ends.
+		for (const value of this._scanner.finish()) {
+			yield this._element(value)
+		}
+
+		this._scanner.end()
+	}
+
+	/**
+	 * @param {any} value
+	 * @returns {InflatedData<any>}
+	 * @private
+	 */
+	_element(value) {
+		return { chunk: value === null ? this._nullValue : value }
+	}
+}
+
+/**
+ * Thrown when the bytes written to a JsonInflatingTransform aren't valid JSON.
+ */
+class InflateJsonError extends Error {
+	/**
+	 * @param {string} reason
+	 * @param {number} offset
+	 * @param {number} inputIndex
+	 */
+	constructor(reason, offset, inputIndex) {
+		super(`${reason} at byte ${offset}, in chunk ${inputIndex}`)
+
+		this.name = "InflateJsonError"
+
+		/** Where the error is, in all the bytes written to the stream. */
+		this.offset = offset
+
+		/** The index of the chunk the error is in, in the order chunks were written. */
+		this.inputIndex = inputIndex
+	}
+}
+
+/**
+ * What the bytes written to a JsonInflatingTransform are.
+ *
+ * - `array` is a JSON document with an array, which the elements of are pushed.
+ * - `ndjson` is newline delimited JSON, which each value of is pushed.
+ *
+ * @enum {string}
+ * @readonly
+ */
+const JsonFormat = {
+	ARRAY: "array",
+	NDJSON: "ndjson"
+}
+
+/**
+ * Pushed by a JsonInflatingTransform for `null` elements, unless the option `nullValue` is
+ * given.
+ */
+const JsonNull = Symbol("JsonNull")
+
+/**
+ * What the JsonScanner expects to see next, other than whitespace.
+ *
+ * @enum {string}
+ * @private
+ * @readonly
+ */
+const Expect = {
+	VALUE: "value",
+	ARRAY_START: "arrayStart",
+	ARRAY_NEXT: "arrayNext",
+	OBJECT_START: "objectStart",
+	OBJECT_KEY: "objectKey",
+	COLON: "colon",
+	OBJECT_NEXT: "objectNext",
+	NEWLINE: "newline",
+	DONE: "done"
+}
+
+/**
+ * Returned by the JsonScanner when a byte doesn't complete an element.
+ *
+ * @private
+ */
+const NO_ELEMENT = Symbol("noElement")
+
+/**
+ * Finds the elements of an array in a JSON document, or the values in NDJSON, in bytes
+ * written a chunk at a time.
+ *
+ * The scanner only checks the structure of the document. The bytes of each element are kept
+ * until the element is complete, and then parsed with `JSON.parse`.
+ *
+ * @private
+ */
+class JsonScanner {
+	/**
+	 * @param {JsonFormat} format
+	 * @param {string[]} pointer The keys of the path to the array.
+	 */
+	constructor(format, pointer) {
+		this._format = format
+		this._pointer = pointer
+		this._found = false
+
+		/** @type {{ array: boolean, key: string|number|null, target: boolean }[]} The containers the scanner is in. */
+		this._stack = []
+		this._expect = Expect.VALUE
+
+		/** @type {Object|null} The string, number or literal being scanned. */
+		this._token = null
+
+		/** @type {{ depth: number, parts: Buffer[], start: number, offset: number, inputIndex: number }|null} The element being scanned. */
+		this._capture = null
+		this._offset = 0
+		this._inputIndex = -1
+	}
+
+	/**
+	 * @returns {boolean} Whether a number or literal is being scanned.
+	 */
+	get pending() {
+		return this._token !== null && !this._token.string
+	}
+
+	/**
+	 * @param {Buffer} bytes The next chunk.
+	 * @yields {any} Each element completed by the chunk.
+	 * @throws {InflateJsonError}
+	 */
+	*write(bytes) {
+		this._inputIndex++
+
+		for (let i = 0; i < bytes.length; i++) {
+			const element = this._scanByte(bytes, i)
+
+			if (element !== NO_ELEMENT) {
+				yield element
+			}
+		}
+
+		// keep what's been scanned of an element or key, for when it's completed by a later chunk.
+		if (this._capture) {
+			this._capture.parts.push(bytes.subarray(this._capture.start))
+			this._capture.start = 0
+		}
+
+		if (this._token && this._token.parts) {
+			this._token.parts.push(bytes.subarray(this._token.start))
+			this._token.start = 0
+		}
+
+		this._offset += bytes.length
+	}
+
+	/**
+	 * Completes a number or literal at the end of the input.
+	 *
+	 * @yields {any} The element, if the number or literal was one.
+	 * @throws {InflateJsonError}
+	 */
+	*finish() {
+		if (!this.pending) {
+			return
+		}
+
+		// what's been scanned of the element has already been kept.
+		const element = this._endPrimitive(EMPTY_BUFFER, 0)
+
+		if (element !== NO_ELEMENT) {
+			yield element
+		}
+	}
+
+	/**
+	 * Checks that the document is complete.
+	 *
+	 * @throws {InflateJsonError}
+	 */
+	end() {
+		const complete = this._expect === Expect.DONE || this._expect === Expect.NEWLINE ||
+			(this._format === JsonFormat.NDJSON && this._expect === Expect.VALUE)
+
+		if (this._token !== null || this._stack.length > 0 || !complete) {
+			throw this._error("Unexpected end of JSON", 0)
+		}
+
+		if (this._format === JsonFormat.ARRAY && !this._found) {
+			throw this._error(`No array at "${toPointerString(this._pointer)}"`, 0)
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_scanByte(bytes, i) {
+		const c = bytes[i]
+		const token = this._token
+
+		if (token === null) {
+			return this._scanStructure(bytes, i)
+		}
+
+		if (token.string) {
+			if (token.escaped) {
+				token.escaped = false
+			}
+			else if (c === BACKSLASH) {
+				token.escaped = true
+			}
+			else if (c === QUOTE) {
+				return this._endString(bytes, i + 1)
+			}
+
+			return NO_ELEMENT
+		}
+
+		if (isPrimitiveByte(c)) {
+			if (!this._capture) {
+				token.text += String.fromCharCode(c)
+			}
+
+			return NO_ELEMENT
+		}
+
+		// the byte after a number or literal is part of the structure.
+		const element = this._endPrimitive(bytes, i)
+		const next = this._scanStructure(bytes, i)
+
+		return element === NO_ELEMENT ? next : element
+	}
+
+	/**
+	 * @private
+	 */
+	_scanStructure(bytes, i) {
+		const c = bytes[i]
+
+		if (this._expect === Expect.NEWLINE && c === LINE_FEED) {
+			this._expect = Expect.VALUE
+
+			return NO_ELEMENT
+		}
+
+		if (isWhitespace(c)) {
+			return NO_ELEMENT
+		}
+
+		switch (this._expect) {
+			case Expect.ARRAY_START:
+				if (c === CLOSE_BRACKET) {
+					return this._endContainer(bytes, i)
+				}
+
+				return this._startValue(bytes, i)
+
+			case Expect.VALUE:
+				return this._startValue(bytes, i)
+
+			case Expect.ARRAY_NEXT:
+				if (c === COMMA) {
+					this._top().key++
+					this._expect = Expect.VALUE
+
+					return NO_ELEMENT
+				}
+
+				if (c === CLOSE_BRACKET) {
+					return this._endContainer(bytes, i)
+				}
+
+				break
+
+			case Expect.OBJECT_START:
+			case Expect.OBJECT_KEY:
+				if (c === QUOTE) {
+					this._token = { string: true, key: true, escaped: false, parts: [], start: i, offset: this._offset + i }
+
+					return NO_ELEMENT
+				}
+
+				if (c === CLOSE_BRACE && this._expect === Expect.OBJECT_START) {
+					return this._endContainer(bytes, i)
+				}
+
+				break
+
+			case Expect.COLON:
+				if (c === COLON) {
+					this._expect = Expect.VALUE
+
+					return NO_ELEMENT
+				}
+
+				break
+
+			case Expect.OBJECT_NEXT:
+				if (c === COMMA) {
+					this._expect = Expect.OBJECT_KEY
+
+					return NO_ELEMENT
+				}
+
+				if (c === CLOSE_BRACE) {
+					return this._endContainer(bytes, i)
+				}
+
+				break
+		}
+
+		throw this._unexpected(c, i)
+	}
+
+	/**
+	 * @private
+	 */
+	_startValue(bytes, i) {
+		const c = bytes[i]
+
+		if (!this._capture && this._isElement()) {
+			this._capture = { depth: this._stack.length, parts: [], start: i, offset: this._offset + i, inputIndex: this._inputIndex }
+		}
+		else if (!this._capture && this._isTarget()) {
+			if (c !== OPEN_BRACKET) {
+				throw this._error(`Expected an array at "${toPointerString(this._pointer)}"`, i)
+			}
+
+			this._found = true
+			this._stack.push({ array: true, key: 0, target: true })
+			this._expect = Expect.ARRAY_START
+
+			return NO_ELEMENT
+		}
+
+		if (c === OPEN_BRACE || c === OPEN_BRACKET) {
+			this._stack.push({ array: c === OPEN_BRACKET, key: c === OPEN_BRACKET ? 0 : null, target: false })
+			this._expect = c === OPEN_BRACKET ? Expect.ARRAY_START : Expect.OBJECT_START
+		}
+		else if (c === QUOTE) {
+			this._token = { string: true, key: false, escaped: false }
+		}
+		else if (isPrimitiveByte(c)) {
+			this._token = { string: false, text: String.fromCharCode(c), offset: this._offset + i, inputIndex: this._inputIndex }
+		}
+		else {
+			throw this._unexpected(c, i)
+		}
+
+		return NO_ELEMENT
+	}
+
+	/**
+	 * @param {Buffer} bytes
+	 * @param {number} end The index after the closing quote.
+	 * @private
+	 */
+	_endString(bytes, end) {
+		const token = this._token
+
+		this._token = null
+
+		if (!token.key) {
+			return this._endValue(bytes, end)
+		}
+
+		if (!this._capture) {
+			try {
+				this._top().key = JSON.parse(concatParts(token.parts, bytes.subarray(token.start, end)))
+			}
+			catch (e) {
+				throw new InflateJsonError(`Invalid key: ${e.message}`, token.offset, this._inputIndex)
+			}
+		}
+
+		this._expect = Expect.COLON
+
+		return NO_ELEMENT
+	}
+
+	/**
+	 * @param {Buffer} bytes
+	 * @param {number} end The index after the number or literal.
+	 * @private
+	 */
+	_endPrimitive(bytes, end) {
+		const token = this._token
+
+		this._token = null
+
+		if (!this._capture) {
+			try {
+				JSON.parse(token.text)
+			}
+			catch (e) {
+				throw new InflateJsonError(`Invalid value ${JSON.stringify(token.text)}`, token.offset, token.inputIndex)
+			}
+		}
+
+		return this._endValue(bytes, end)
+	}
+
+	/**
+	 * @private
+	 */
+	_endContainer(bytes, i) {
+		this._stack.pop()
+
+		return this._endValue(bytes, i + 1)
+	}
+
+	/**
+	 * @param {Buffer} bytes
+	 * @param {number} end The index after the value.
+	 * @returns {any} The element, if the value was one.
+	 * @private
+	 */
+	_endValue(bytes, end) {
+		const capture = this._capture
+		const top = this._top()
+		let element = NO_ELEMENT
+
+		if (capture && this._stack.length === capture.depth) {
+			this._capture = null
+
+			try {
+				element = JSON.parse(concatParts(capture.parts, bytes.subarray(capture.start, end)))
+			}
+			catch (e) {
+				throw new InflateJsonError(`Invalid element: ${e.message}`, capture.offset, capture.inputIndex)
+			}
+		}
+
+		if (!top) {
+			this._expect = this._format === JsonFormat.NDJSON ? Expect.NEWLINE : Expect.DONE
+		}
+		else {
+			this._expect = top.array ? Expect.ARRAY_NEXT : Expect.OBJECT_NEXT
+		}
+
+		return element
+	}
+
+	/**
+	 * @returns {boolean} Whether the value starting is an element to push.
+	 * @private
+	 */
+	_isElement() {
+		const top = this._top()
+
+		return this._format === JsonFormat.NDJSON ? top === undefined : top !== undefined && top.target
+	}
+
+	/**
+	 * @returns {boolean} Whether the value starting is at the path to the array.
+	 * @private
+	 */
+	_isTarget() {
+		return this._format === JsonFormat.ARRAY && !this._found &&
+			this._stack.length === this._pointer.length &&
+			this._stack.every(({ key }, index) => String(key) === this._pointer[index])
+	}
+
+	/**
+	 * @private
+	 */
+	_top() {
+		return this._stack[this._stack.length - 1]
+	}
+
+	/**
+	 * @private
+	 */
+	_unexpected(c, i) {
+		return this._error(`Unexpected ${JSON.stringify(String.fromCharCode(c))}`, i)
+	}
+
+	/**
+	 * @private
+	 */
+	_error(reason, i) {
+		return new InflateJsonError(reason, this._offset + i, this._inputIndex)
+	}
+}
+
+const QUOTE = 0x22
+const LINE_FEED = 0x0A
+const BACKSLASH = 0x5C
+const COMMA = 0x2C
+const COLON = 0x3A
+const OPEN_BRACKET = 0x5B
+const CLOSE_BRACKET = 0x5D
+const OPEN_BRACE = 0x7B
+const CLOSE_BRACE = 0x7D
+
+// isWhitespace :: Integer -> Boolean
+const isWhitespace = (c) => c === 0x20 || c === 0x0A || c === 0x0D || c === 0x09
+
+// isPrimitiveByte :: Integer -> Boolean
+const isPrimitiveByte = (c) =>
+	(c >= 0x30 && c <= 0x39) || (c >= 0x61 && c <= 0x7A) || (c >= 0x41 && c <= 0x5A) ||
+		c === 0x2D || c === 0x2B || c === 0x2E
+
+// concatParts :: ([Buffer], Buffer) -> String
+const concatParts = (parts, last) =>
+	(parts.length === 0 ? last : Buffer.concat([ ...parts, last ])).toString()
+
+// toJsonFormat :: JsonFormat? -> JsonFormat
+const toJsonFormat = (format = JsonFormat.ARRAY) => {
+	if (!Object.values(JsonFormat).includes(format)) {
+		throw new TypeError(`format must be one of ${Object.values(JsonFormat).join(", ")}, got ${format}`)
+	}
+
+	return format
+}
+
+// toPointer :: String? -> [String]
+const toPointer = (path = "") => {
+	if (typeof path !== "string" || (path !== "" && !path.startsWith("/"))) {
+		throw new TypeError(`path must be a JSON pointer, got ${path}`)
+	}
+
+	return path === ""
+		? []
+		: path.slice(1).split("/").map((key) => key.replace(/~1/g, "/").replace(/~0/g, "~"))
+}
+
+// toPointerString :: [String] -> String
+const toPointerString = (pointer) =>
+	pointer.map((key) => `/${key.replace(/~/g, "~0").replace(/\//g, "~1")}`).join("")
+
+module.exports.JsonInflatingTransform = JsonInflatingTransform
+module.exports.JsonFormat = JsonFormat
+module.exports.JsonNull = JsonNull
+module.exports.InflateJsonError = InflateJsonError
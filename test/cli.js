@@ -0,0 +1,102 @@
+const path = require("node:path");
+const { spawn } = require("node:child_process");
+
+const {
+	assertThat,
+	is,
+	containsString
+} = require("hamjest");
+
+const CLI = path.join(__dirname, "..", "bin", "inflating-transform.js");
+const GENERATORS = path.join(__dirname, "fixtures", "cli-generators.js");
+
+describe("inflating-transform command", function() {
+	it("should inflate raw bytes from stdin to stdout", async function() {
+		const { code, stdout } = await run([ GENERATORS ], "ab")
+
+		assertThat(code, is(0))
+		assertThat(stdout, is("ababburst"))
+	});
+
+	it("should inflate lines", async function() {
+		const { code, stdout } = await run([ "--input", "lines", "--output", "lines", GENERATORS ], "a\r\nb\nc")
+
+		assertThat(code, is(0))
+		assertThat(stdout, is("a\na\nb\nb\nc\nc\nburst\n"))
+	});
+
+	it("should inflate ndjson", async function() {
+		const { code, stdout } = await run(
+			[ "--input", "ndjson", "--output", "ndjson", GENERATORS ],
+			`{"a":1}\n\n[2]\n`
+		)
+
+		assertThat(code, is(0))
+		assertThat(stdout, is(`{"a":1}\n{"a":1}\n[2]\n[2]\n"burst"\n`))
+	});
+
+	it("should use a named export", async function() {
+		const { code, stdout } = await run([ "--export", "upperCase", GENERATORS ], "ab")
+
+		assertThat(code, is(0))
+		assertThat(stdout, is("AB"))
+	});
+
+	it("should inflate concurrently", async function() {
+		const { code, stdout } = await run(
+			[ "--input", "lines", "--output", "lines", "--concurrency", "2", "--high-water-mark", "1", GENERATORS ],
+			"a\nb\n"
+		)
+
+		assertThat(code, is(0))
+		assertThat(stdout, is("a\na\nb\nb\nburst\n"))
+	});
+
+	it("should report which record failed", async function() {
+		const { code, stderr } = await run([ "--input", "lines", GENERATORS ], "a\nb\nfail\nc\n")
+
+		assertThat(code, is(1))
+		assertThat(stderr, containsString("Record 3 failed: Failed on purpose"))
+	});
+
+	it("should report which line isn't valid json", async function() {
+		const { code, stderr } = await run([ "--input", "ndjson", "--output", "ndjson", GENERATORS ], "{}\n{\n")
+
+		assertThat(code, is(1))
+		assertThat(stderr, containsString("Line 2 isn't valid JSON"))
+	});
+
+	it("should reject an invalid command line", async function() {
+		const { code, stderr } = await run([ "--input", "xml", GENERATORS ], "")
+
+		assertThat(code, is(2))
+		assertThat(stderr, containsString("--input must be one of raw, lines, ndjson"))
+	});
+
+	it("should reject a module without an inflate generator", async function() {
+		const { code, stderr } = await run([ "--export", "missing", GENERATORS ], "")
+
+		assertThat(code, is(2))
+		assertThat(stderr, containsString("doesn't export an inflate generator"))
+	});
+
+	it("should print help", async function() {
+		const { code, stdout } = await run([ "--help" ], "")
+
+		assertThat(code, is(0))
+		assertThat(stdout, containsString("Usage: inflating-transform"))
+	});
+});
+
+// run :: ([String], String) -> Promise { code: Number, stdout: String, stderr: String }
+const run = (args, input) =>
+	new Promise((resolve, reject) => {
+		const child = spawn(process.execPath, [ CLI, ...args ])
+		const output = { stdout: "", stderr: "" }
+
+		child.stdout.setEncoding("utf8").on("data", (data) => output.stdout += data)
+		child.stderr.setEncoding("utf8").on("data", (data) => output.stderr += data)
+		child.on("error", reject)
+		child.on("close", (code) => resolve({ code, ...output }))
+		child.stdin.end(input)
+	})
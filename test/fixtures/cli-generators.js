@@ -0,0 +1,24 @@
+/*
+ * Generators for the command line tests.
+ */
+
+module.exports = {
+	*inflate(chunk) {
+		if (chunk === "fail" || (chunk && chunk.fail)) {
+			throw new Error("Failed on purpose")
+		}
+
+		yield { chunk }
+		yield { chunk }
+	},
+
+	*burst() {
+		yield { chunk: "burst" }
+	},
+
+	upperCase: {
+		*inflate(chunk) {
+			yield { chunk: chunk.toString().toUpperCase() }
+		}
+	}
+}
@@ -0,0 +1,40 @@
+/*
+ * Generators run in worker threads by the tests.
+ */
+
+let inflated = 0
+
+module.exports = {
+	* inflate(chunk) {
+		inflated++
+
+		for (let i = 0; i < 3; i++) {
+			yield { chunk: `${chunk}-${i}` }
+		}
+	},
+
+	* burst() {
+		yield { chunk: `inflated ${inflated}` }
+	}
+}
+
+module.exports.failing = {
+	* inflate(chunk) {
+		throw new Error(`Can't inflate ${chunk}`)
+	}
+}
+
+module.exports.buffers = {
+	* inflate(chunk) {
+		yield { chunk: Buffer.alloc(1024, chunk) }
+		yield { chunk: Buffer.from(chunk.toString().repeat(2)) }
+	}
+}
+
+module.exports.statuses = {
+	* inflate(chunk) {
+		const { full } = yield { chunk }
+
+		yield { chunk: `${full}` }
+	}
+}
@@ -1,118 +1,2260 @@
 const { Readable, Writable } = require("node:stream");
-const { pipeline } = require("node:stream/promises");
+const { ReadableStream } = require("node:stream/web");
+const { finished, pipeline } = require("node:stream/promises");
+const { once } = require("node:events");
+const diagnosticsChannel = require("node:diagnostics_channel");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const zlib = require("node:zlib");
 
 const InflatingTransform = require("../index");
+const {
+	ChannelName,
+	CompressionFormat,
+	DecompressingTransform,
+	InflatingTransformStream,
+	JsonFormat,
+	JsonInflatingTransform,
+	JsonNull,
+	Framing,
+	FramingInflatingTransform,
+	InflateFrameSizeError,
+	InflateJsonError,
+	InflateLimitError,
+	InflateOverflowError,
+	InflateStallError,
+	InflateTimeoutError,
+	batch,
+	compose,
+	filter,
+	flatMap,
+	map,
+	take
+} = InflatingTransform;
+
+const {
+	assertThat,
+	is,
+	isRejectedWith,
+	allOf,
+	instanceOf,
+	hasProperty,
+	equalTo,
+	greaterThan,
+	greaterThanOrEqualTo,
+	lessThanOrEqualTo,
+	promiseThat,
+	throws
+} = require("hamjest");
+
+const NUM_IDS = parseInt(process.env.NUM_IDS || 10)
+
+describe("InflatingTransform", function() {
+	describe("streaming", function() {
+		const tests = [
+			{
+				desc: "should handle synchronous streaming",
+				factory: () => newPipeline(newAccountLookupStream())
+			},
+			{
+				desc: "should handle generator which yields Promises",
+				factory: () => newPipeline(
+					newInflatingStream(inflatingTransformOptions(withInflate(function* (accountNumber) {
+						yield Promise.resolve(createAccountFromAccountNumber(accountNumber))
+					})))
+				)
+			},
+			{
+				desc: "should handle async generator",
+				factory: () => newPipeline(
+					newInflatingStream(inflatingTransformOptions(withInflate(async function* (accountNumber) {
+						yield createAccountFromAccountNumber(accountNumber)
+					})))
+				)
+			},
+			{
+				desc: "should handle generator which yields Readable streams",
+				factory: () => newPipeline(
+					newInflatingStream(inflatingTransformOptions(withInflate(function* (accountNumber) {
+						yield Readable.from([ createAccountFromAccountNumber(accountNumber).chunk ])
+					})))
+				)
+			},
+			{
+				desc: "should handle concurrent inflation",
+				factory: () => newPipeline(
+					newInflatingStream(inflatingTransformOptions(withProps(
+						withConcurrency(4),
+						withInflate(async function* (accountNumber) {
+							await delay(accountNumber % 3)
+
+							yield createAccountFromAccountNumber(accountNumber)
+						})
+					)))
+				)
+			}
+		]
+
+		tests.forEach((test) => {
+			it(test.desc, async function() {
+				const { count, readyUsed } = await test.factory();
+
+				assertThat("Not all ids processed", count, is(NUM_IDS))
+				assertThat("Backpressure not used", readyUsed, is(true))
+			})
+		});
+	});
+
+	describe("construction", function() {
+		it("should throw error if inflate is not implemented", async function() {
+			const result = newPipeline(newInflatingStream())
+
+			await promiseThat(result, isRejectedWith(errorMatcher("Unimplemented")))
+		});
+
+		it("should pass inflate via constructor prop", async function() {
+			await newPipeline(
+				newInflatingStream(inflatingTransformOptions(withInflate(inflateAccountNumber)))
+			)
+		});
+	});
+
+	describe("errors", function() {
+		it("should handle error from generator when inflating", async function() {
+			const message = "Inflation error";
+			const result = newPipeline(
+				newInflatingStream(inflatingTransformOptions(withInflate(errorGenerator(message))))
+			)
+
+			await promiseThat(result, isRejectedWith(errorMatcher(message)));
+		});
+
+		it("should handle error from generator when flushing", async function() {
+			const message = "Flush error";
+			const result = newPipeline(
+				newInflatingStream(inflatingTransformOptions(withProps(
+					withInflate(inflateAccountNumber),
+					withBurst(errorGenerator(message))
+				)))
+			)
+
+			await promiseThat(result, isRejectedWith(errorMatcher(message)));
+		});
+
+		it("should not swallow error thrown in callback when inflating", function() {
+			const message = "Error in transform callback"
+			const stream = newInflatingStream(inflatingTransformOptions(withInflate(inflateAccountNumber)))
+			const callback = errorCallback(message);
+
+			assertThat(
+				() => stream._transform("1", "utf-8", callback.callback),
+				throws(errorMatcher(message))
+			)
+
+			assertThat("Callback invoked too many times", callback.timesInvoked(), is(1))
+		});
+
+		it("should not swallow error thrown in callback when flushing", function() {
+			const message = "Error in flush callback"
+			const stream = newInflatingStream(inflatingTransformOptions(withInflate(inflateAccountNumber)))
+			const callback = errorCallback(message);
+
+			assertThat(
+				() => stream._flush(callback.callback),
+				throws(errorMatcher(message))
+			)
+
+			assertThat("Callback invoked too many times", callback.timesInvoked(), is(1))
+		});
+	});
+
+	describe("slicing", function() {
+		it("should throw error if maxChunkSize is too small", function() {
+			assertThat(
+				() => newInflatingStream(inflatingTransformOptions(withMaxChunkSize(2))),
+				throws(instanceOf(TypeError))
+			)
+		});
+
+		it("should not allow slicing in object mode", function() {
+			assertThat(
+				() => newInflatingStream(inflatingTransformOptions(withProps(withObjectMode(), withMaxChunkSize(true)))),
+				throws(instanceOf(TypeError))
+			)
+		});
+
+		it("should push large Buffers in slices", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withMaxChunkSize(4),
+				withInflate(function* () {
+					yield inflatedData(Buffer.from("0123456789"))
+				})
+			)))
+
+			const output = await collectData(stream, [ "1" ])
+
+			assertThat(output, equalTo([ "0123", "4567", "89" ]))
+		});
+
+		it("should push large strings in slices on character boundaries", async function() {
+			// slices :: String -> Promise [String]
+			const slices = async (encoding) => {
+				const stream = newInflatingStream(inflatingTransformOptions(withProps(
+					{ encoding: undefined },
+					withMaxChunkSize(5),
+					withInflate(function* () {
+						yield { chunk: "aé€😀b", encoding }
+					})
+				)))
+
+				const output = await collectData(stream, [ "1" ])
+
+				return output.map((data) => data.toString(encoding))
+			}
+
+			assertThat(await slices("utf8"), equalTo([ "aé", "€", "😀b" ]))
+			assertThat(await slices("utf16le"), equalTo([ "aé", "€", "😀", "b" ]))
+		});
+
+		it("should wait for ready between slices", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withHighWaterMark(1024),
+				withMaxChunkSize(true),
+				withInflate(function* (id) {
+					yield inflatedData(id.repeat(4 * 1024))
+				})
+			)))
+			const countingStream = new CountingStream()
+			let readyUsed = false
+
+			stream.once("ready", () => readyUsed = true)
+			await pipeline(Readable.from([ "a", "b", "c" ]), stream, countingStream)
+
+			assertThat("Chunks not sliced", countingStream.count, is(12))
+			assertThat("Backpressure not used", readyUsed, is(true))
+		});
+	});
+
+	describe("coalescing", function() {
+		it("should combine values into arrays in object mode", async function() {
+			const stream = newInflatingStream(withProps(
+				withObjectMode(),
+				withCoalesce({ items: 3 }),
+				withInflate(function* (chunk) {
+					for (const c of chunk) {
+						yield inflatedData(c)
+					}
+				})
+			))
+
+			const output = await inflateAll(stream, [ "abcd", "efg" ])
+
+			assertThat(output, equalTo([ [ "a", "b", "c" ], [ "d", "e", "f" ], [ "g" ] ]))
+		});
+
+		it("should combine chunks once enough bytes have been yielded", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withCoalesce({ bytes: 4 }),
+				withInflate(function* (chunk) {
+					yield inflatedData(Buffer.from(chunk))
+					yield { chunk: chunk.toUpperCase(), encoding: "utf8" }
+				})
+			)))
+
+			const output = await collectData(stream, [ "ab", "cd", "e" ])
+
+			assertThat(output, equalTo([ "abAB", "cdCD", "eE" ]))
+		});
+
+		it("should push values after timeout", async function() {
+			const output = []
+			const stream = newInflatingStream(withProps(
+				withObjectMode(),
+				withCoalesce({ items: 10, ms: 10 }),
+				withInflate(function* (chunk) {
+					yield inflatedData(chunk)
+				})
+			))
+
+			stream.on("data", (data) => output.push(data))
+			stream.write("a")
+			stream.write("b")
+			await delay(30)
+
+			assertThat(output, equalTo([ [ "a", "b" ] ]))
+
+			stream.destroy()
+		});
+	});
+
+	describe("yield status", function() {
+		it("should resume generator with status of the buffer", async function() {
+			const statuses = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withHighWaterMark(2),
+				withInflate(function* (n) {
+					statuses.push(yield inflatedData(`${n}-1`))
+					statuses.push(yield inflatedData(`${n}-2`))
+				})
+			)))
+
+			stream.end("1")
+			await delay(20)
+			await stream.toArray()
+
+			assertThat(statuses[0], equalTo({ full: false, readableLength: 1, highWaterMark: 2, waitedMs: 0 }))
+			assertThat(statuses[1], allOf(
+				hasProperty("full", true),
+				hasProperty("highWaterMark", 2),
+				hasProperty("waitedMs", greaterThanOrEqualTo(15))
+			))
+		});
+	});
+
+	describe("nested sources", function() {
+		it("should push data from yielded sources before resuming generator", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withInflate(function* (n) {
+					yield inflatedData(`${n}-start`)
+					yield Readable.from([ `${n}-readable` ])
+					yield toAsyncIterable([ inflatedData(`${n}-async`) ])
+					yield [ inflatedData(`${n}-iterable`), Promise.resolve(inflatedData(`${n}-promise`)) ]
+					yield inflatedData(`${n}-end`)
+				})
+			)))
+
+			const output = await inflateAll(stream, [ 1, 2 ])
+
+			assertThat(output, equalTo([
+				"1-start", "1-readable", "1-async", "1-iterable", "1-promise", "1-end",
+				"2-start", "2-readable", "2-async", "2-iterable", "2-promise", "2-end"
+			]))
+		});
+
+		it("should handle error from yielded source", async function() {
+			const message = "Nested error"
+			let closed = false
+
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withInflate(function* () {
+					try {
+						yield new Readable({
+							read() {
+								this.destroy(new Error(message))
+							}
+						})
+					}
+					finally {
+						closed = true
+					}
+				})
+			)))
+
+			await promiseThat(inflateAll(stream, [ 1 ]), isRejectedWith(errorMatcher(message)))
+			assertThat("Generator not closed", closed, is(true))
+		});
+	});
+
+	describe("concurrency", function() {
+		it("should throw error if concurrency is invalid", function() {
+			assertThat(
+				() => newInflatingStream(inflatingTransformOptions(withConcurrency(0))),
+				throws(instanceOf(TypeError))
+			)
+		});
+
+		it("should push output in input order", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withConcurrency(3),
+				withInflate(async function* (n) {
+					// later chunks finish first
+					await delay((5 - n) * 5)
+
+					yield inflatedData(`${n}a`)
+					yield inflatedData(`${n}b`)
+				})
+			)))
+
+			const output = await inflateAll(stream, [ 1, 2, 3, 4, 5 ])
+
+			assertThat(output, equalTo([ "1a", "1b", "2a", "2b", "3a", "3b", "4a", "4b", "5a", "5b" ]))
+		});
+
+		it("should not inflate more chunks at once than the concurrency", async function() {
+			let running = 0
+			let maxRunning = 0
+
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withConcurrency(2),
+				withInflate(async function* (n) {
+					running++
+					maxRunning = Math.max(running, maxRunning)
+
+					try {
+						await delay(5)
+
+						yield inflatedData(String(n))
+					}
+					finally {
+						running--
+					}
+				})
+			)))
+
+			const output = await inflateAll(stream, [ 1, 2, 3, 4, 5, 6 ])
+
+			assertThat(output, equalTo([ "1", "2", "3", "4", "5", "6" ]))
+			assertThat("Too many chunks inflated at once", maxRunning, is(2))
+		});
+
+		it("should push output as it is yielded when unordered", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withConcurrency(3),
+				withOrdered(false),
+				withInflate(async function* (n) {
+					await delay((3 - n) * 10)
+
+					yield inflatedData(String(n))
+				})
+			)))
+
+			const output = await inflateAll(stream, [ 1, 2, 3 ])
+
+			assertThat(output, equalTo([ "3", "2", "1" ]))
+		});
+
+		it("should pause every generator when the buffer is full when unordered", async function() {
+			const stream = new PushCountingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withHighWaterMark(2),
+				withConcurrency(3),
+				withOrdered(false),
+				withInflate(async function* (n) {
+					for (let i = 0; i < 5; i++) {
+						await delay(1)
+
+						yield inflatedData(`${n}-${i}`)
+					}
+				})
+			)))
+
+			await pipeline(Readable.from([ 1, 2, 3, 4, 5, 6 ]), stream, new SlowObjectStream())
+
+			assertThat("Not all values pushed", stream.pushed, is(30))
+			assertThat("Pushed when buffer was full", stream.pushedWhenFull, is(0))
+		});
+
+		it("should handle error from unordered concurrent generator", async function() {
+			const message = "Inflation error";
+			const result = newPipeline(
+				newInflatingStream(inflatingTransformOptions(withProps(
+					withConcurrency(3),
+					withOrdered(false),
+					withInflate(errorGenerator(message))
+				)))
+			)
+
+			await promiseThat(result, isRejectedWith(errorMatcher(message)));
+		});
+
+		it("should handle error from concurrent generator", async function() {
+			const message = "Inflation error";
+			const result = newPipeline(
+				newInflatingStream(inflatingTransformOptions(withProps(
+					withConcurrency(3),
+					withInflate(errorGenerator(message))
+				)))
+			)
+
+			await promiseThat(result, isRejectedWith(errorMatcher(message)));
+		});
+	});
+
+	describe("error policy", function() {
+		// failOn :: String -> InflatingGenerator
+		const failOn = (bad) => function* (chunk) {
+			yield inflatedData(`${chunk}-1`)
+
+			if (chunk === bad) {
+				throw new Error(`Bad chunk ${chunk}`)
+			}
+
+			yield inflatedData(`${chunk}-2`)
+		}
+
+		it("should throw error if policy is unknown", function() {
+			assertThat(
+				() => newInflatingStream(inflatingTransformOptions(withOnError("ignore"))),
+				throws(instanceOf(TypeError))
+			)
+		});
+
+		it("should skip chunks that fail", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError("skip"),
+				withInflate(failOn("b"))
+			)))
+
+			const output = await inflateAll(stream, [ "a", "b", "c" ])
+
+			assertThat(output, equalTo([ "a-1", "a-2", "b-1", "c-1", "c-2" ]))
+		});
+
+		it("should retry chunks that fail", async function() {
+			const backoffs = []
+			let attempts = 0
+
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError({
+					policy: "retry",
+					attempts: 3,
+					backoff: (attempt) => {
+						backoffs.push(attempt)
+
+						return attempt * 5
+					}
+				}),
+				withInflate(function* (chunk) {
+					if (chunk === "b" && ++attempts < 3) {
+						throw new Error("Temporary failure")
+					}
+
+					yield inflatedData(chunk)
+				})
+			)))
+
+			const output = await inflateAll(stream, [ "a", "b", "c" ])
+
+			assertThat(output, equalTo([ "a", "b", "c" ]))
+			assertThat(backoffs, equalTo([ 1, 2 ]))
+		});
+
+		it("should not retry chunks once the stream is destroyed", async function() {
+			let attempts = 0
+
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError({ policy: "retry", backoff: 50 }),
+				withInflate(function* () {
+					attempts++
+
+					throw new Error("Temporary failure")
+				})
+			)))
+
+			stream.write("a")
+			await delay(10)
+			await destroy(stream)
+			await delay(60)
+
+			assertThat(attempts, is(1))
+		});
+
+		it("should use fallback policy when retries are exhausted", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError({ policy: "retry", attempts: 2 }),
+				withInflate(failOn("b"))
+			)))
+
+			await promiseThat(inflateAll(stream, [ "a", "b", "c" ]), isRejectedWith(errorMatcher("Bad chunk b")))
+		});
+
+		describe("concurrently", function() {
+			// b is inflated while waiting on a, so its values are buffered before it fails.
+			const inflateFailingOnce = () => {
+				let failed = false
+
+				return async function* (chunk) {
+					if (chunk === "a") {
+						await delay(20)
+					}
+
+					yield inflatedData(`${chunk}-1`)
+
+					if (chunk === "b" && !failed) {
+						failed = true
+
+						throw new Error("Bad chunk b")
+					}
+				}
+			}
+
+			it("should push values yielded before a chunk is skipped", async function() {
+				const stream = newInflatingStream(inflatingTransformOptions(withProps(
+					withObjectMode(),
+					withConcurrency(2),
+					withOnError("skip"),
+					withInflate(inflateFailingOnce())
+				)))
+
+				const output = await inflateAll(stream, [ "a", "b", "c" ])
+
+				assertThat(output, equalTo([ "a-1", "b-1", "c-1" ]))
+			});
+
+			it("should push values yielded before a chunk is retried again", async function() {
+				const stream = newInflatingStream(inflatingTransformOptions(withProps(
+					withObjectMode(),
+					withConcurrency(2),
+					withOnError("retry"),
+					withInflate(inflateFailingOnce())
+				)))
+
+				const output = await inflateAll(stream, [ "a", "b", "c" ])
+
+				assertThat(output, equalTo([ "a-1", "b-1", "b-1", "c-1" ]))
+			});
+
+			it("should push the same values as inflating one at a time", async function() {
+				// inflateWith :: Integer -> Promise [String]
+				const inflateWith = async (concurrency) => {
+					const stream = newInflatingStream(inflatingTransformOptions(withProps(
+						withObjectMode(),
+						withConcurrency(concurrency),
+						withOnError("deadLetter"),
+						withInflate(failOn("b"))
+					)))
+
+					stream.on("inflateError", () => {})
+
+					return inflateAll(stream, [ "a", "b", "c" ])
+				}
+
+				assertThat(await inflateWith(3), equalTo(await inflateWith(1)))
+			});
+		});
+
+		it("should write failures to dead letter stream", async function() {
+			const failures = []
+			const deadLetter = new Writable({
+				objectMode: true,
+				write(failure, encoding, callback) {
+					failures.push(failure)
+
+					callback()
+				}
+			})
+
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError({ policy: "deadLetter", deadLetter }),
+				withInflate(failOn("b"))
+			)))
+
+			const output = await inflateAll(stream, [ "a", "b", "c" ])
+
+			assertThat(output, equalTo([ "a-1", "a-2", "b-1", "c-1", "c-2" ]))
+			assertThat(failures.length, is(1))
+			assertThat(failures[0], allOf(
+				hasProperty("chunk", "b"),
+				hasProperty("error", errorMatcher("Bad chunk b"))
+			))
+		});
+
+		it("should error when the dead letter stream errors", async function() {
+			const deadLetter = new Writable({
+				objectMode: true,
+				highWaterMark: 1,
+				write(failure, encoding, callback) {
+					callback(new Error("Dead letter failed"))
+				}
+			})
+
+			deadLetter.on("error", () => {})
+
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError({ policy: "deadLetter", deadLetter }),
+				withInflate(failOn("b"))
+			)))
+
+			await promiseThat(inflateAll(stream, [ "a", "b", "c" ]), isRejectedWith(errorMatcher("Dead letter failed")))
+		});
+
+		it("should error when the dead letter stream closes", async function() {
+			const deadLetter = new Writable({
+				objectMode: true,
+				highWaterMark: 1,
+				write() {
+					deadLetter.destroy()
+				}
+			})
+
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError({ policy: "deadLetter", deadLetter }),
+				withInflate(failOn("b"))
+			)))
+
+			await promiseThat(
+				inflateAll(stream, [ "a", "b", "c" ]),
+				isRejectedWith(errorMatcher("The dead letter stream closed before the failure was written"))
+			)
+		});
+
+		it("should require the dead letter stream to be in object mode", function() {
+			assertThat(
+				() => newInflatingStream(inflatingTransformOptions(withOnError({ policy: "deadLetter", deadLetter: new Writable() }))),
+				throws(instanceOf(TypeError))
+			)
+		});
+
+		it("should emit failures when there is no dead letter stream", async function() {
+			const failures = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError("deadLetter"),
+				withInflate(failOn("b"))
+			)))
+
+			stream.on("inflateError", (failure) => failures.push(failure))
+
+			await inflateAll(stream, [ "a", "b", "c" ])
+
+			assertThat(failures.length, is(1))
+			assertThat(failures[0], hasProperty("chunk", "b"))
+		});
+	});
+
+	describe("timeouts", function() {
+		it("should time out waiting for a yielded value", async function() {
+			let closed = false
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				{ yieldTimeout: 10 },
+				withInflate(function* (chunk) {
+					try {
+						yield inflatedData(chunk)
+						yield new Promise(() => {})
+					}
+					finally {
+						closed = true
+					}
+				})
+			)))
+
+			await promiseThat(inflateAll(stream, [ "a" ]), isRejectedWith(allOf(
+				instanceOf(InflateTimeoutError),
+				hasProperty("timeout", "yield"),
+				hasProperty("phase", "inflate"),
+				hasProperty("chunk", "a"),
+				hasProperty("pushed", 1)
+			)))
+			assertThat("Generator not closed", closed, is(true))
+		});
+
+		it("should apply error policy when chunk times out", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError("skip"),
+				{ chunkTimeout: 20 },
+				withInflate(async function* (chunk) {
+					for (let i = 0; i < 3; i++) {
+						await delay(chunk === "b" ? 10 : 0)
+
+						yield inflatedData(`${chunk}-${i}`)
+					}
+				})
+			)))
+
+			const output = await inflateAll(stream, [ "a", "b", "c" ])
+
+			assertThat(output, equalTo([ "a-0", "a-1", "a-2", "b-0", "c-0", "c-1", "c-2" ]))
+		});
+
+		it("should abort the signal and close an async generator when it times out", async function() {
+			let closed = false
+			let signal
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError("skip"),
+				{ yieldTimeout: 20 },
+				withInflate(async function* (chunk, encoding, context) {
+					if (chunk === "a") {
+						signal = context.signal
+
+						try {
+							// a cursor or handle which is only released when the signal is aborted.
+							yield await untilAborted(context.signal)
+						}
+						finally {
+							closed = true
+						}
+					}
+
+					yield inflatedData(chunk)
+				})
+			)))
+
+			const output = await inflateAll(stream, [ "a", "b" ])
+			await new Promise(setImmediate)
+
+			assertThat(output, equalTo([ "b" ]))
+			assertThat("Signal not aborted", signal.reason, instanceOf(InflateTimeoutError))
+			assertThat("Generator not closed", closed, is(true))
+		});
+
+		it("should abort the signal before a chunk is retried", async function() {
+			const signals = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withOnError({ policy: "retry", attempts: 2, backoff: 0 }),
+				withInflate(function* (chunk, encoding, context) {
+					signals.push(context.signal)
+
+					if (signals.length === 1) {
+						throw new Error("Try again")
+					}
+
+					yield inflatedData(chunk)
+				})
+			)))
+
+			const output = await inflateAll(stream, [ "a" ])
+
+			assertThat(output, equalTo([ "a" ]))
+			assertThat(signals.map((signal) => signal.aborted), equalTo([ true, false ]))
+		});
+
+		it("should time out bursting", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				{ burstTimeout: 10 },
+				withInflate(inflateAccountNumber),
+				withBurst(async function* () {
+					yield await new Promise(() => {})
+				})
+			)))
+
+			await promiseThat(inflateAll(stream, [ "a" ]), isRejectedWith(allOf(
+				instanceOf(InflateTimeoutError),
+				hasProperty("timeout", "burst"),
+				hasProperty("phase", "burst")
+			)))
+		});
+	});
+
+	describe("watchdog", function() {
+		it("should emit stall when waiting for ready", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withHighWaterMark(1),
+				withWatchdog({ ms: 10 }),
+				withInflate(function* (chunk) {
+					yield inflatedData(`${chunk}-1`)
+					yield inflatedData(`${chunk}-2`)
+				})
+			)))
+
+			stream.write("a")
+
+			const [ stall ] = await once(stream, "stall")
+			stream.destroy()
+
+			assertThat(stall, allOf(
+				hasProperty("waitingFor", "ready"),
+				hasProperty("phase", "inflate"),
+				hasProperty("chunkIndex", 0),
+				hasProperty("pushed", 1),
+				hasProperty("readableLength", 1),
+				hasProperty("waitedMs", greaterThanOrEqualTo(10))
+			))
+		});
+
+		it("should error stream when waiting for a promise", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withWatchdog({ ms: 10, error: true }),
+				withInflate(function* () {
+					yield new Promise(() => {})
+				})
+			)))
+
+			const result = inflateAll(stream, [ "a" ])
+
+			await promiseThat(result, isRejectedWith(allOf(
+				instanceOf(InflateStallError),
+				hasProperty("stall", hasProperty("waitingFor", "promise"))
+			)))
+		});
+	});
+
+	describe("lineage", function() {
+		it("should wrap values with their lineage in object mode", async function() {
+			const stream = newInflatingStream(withProps(
+				withObjectMode(),
+				withLineage(),
+				withInflate(function* (chunk) {
+					yield inflatedData(`${chunk}-1`)
+					yield inflatedData(`${chunk}-2`)
+				}),
+				withBurst(function* () {
+					yield inflatedData("end")
+				})
+			))
+
+			const output = await inflateAll(stream, [ "a", "b" ])
+
+			assertThat(output, equalTo([
+				{ value: "a-1", lineage: { inputIndex: 0, outputIndexWithinInput: 0, phase: "inflate" } },
+				{ value: "a-2", lineage: { inputIndex: 0, outputIndexWithinInput: 1, phase: "inflate" } },
+				{ value: "b-1", lineage: { inputIndex: 1, outputIndexWithinInput: 0, phase: "inflate" } },
+				{ value: "b-2", lineage: { inputIndex: 1, outputIndexWithinInput: 1, phase: "inflate" } },
+				{ value: "end", lineage: { inputIndex: null, outputIndexWithinInput: 0, phase: "burst" } }
+			]))
+		});
+
+		it("should emit lineage before pushing values in byte mode", async function() {
+			const events = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withLineage(),
+				withInflate(function* (chunk) {
+					yield inflatedData(chunk)
+				})
+			)))
+
+			stream.on("lineage", (lineage) => events.push(lineage.inputIndex))
+			stream.on("data", (data) => events.push(data))
+
+			await pipeline(Readable.from([ "a", "b" ]), stream)
+
+			assertThat(events, equalTo([ 0, "a", 1, "b" ]))
+		});
+	});
+
+	describe("composing", function() {
+		it("should inflate values through each stage", async function() {
+			const stream = newInflatingStream(withProps(
+				withObjectMode(),
+				compose(
+					flatMap((n) => [ n, n * 10 ]),
+					filter((n) => n % 2 === 0),
+					map(async (n) => n + 1)
+				)
+			))
+
+			const output = await inflateAll(stream, [ 1, 2, 3 ])
+
+			assertThat(output, equalTo([ 11, 3, 21, 31 ]))
+		});
+
+		it("should burst each stage in order through the stages after it", async function() {
+			const stream = newInflatingStream(withProps(
+				withObjectMode(),
+				compose(
+					{
+						inflate: function* (chunk) {
+							yield inflatedData(chunk)
+						},
+						burst: function* () {
+							yield inflatedData("a")
+							yield null
+						}
+					},
+					{
+						inflate: function* (chunk) {
+							yield inflatedData(`b(${chunk})`)
+						},
+						burst: function* () {
+							yield inflatedData("b")
+						}
+					}
+				)
+			))
+
+			const output = await inflateAll(stream, [ "x" ])
+
+			assertThat(output, equalTo([ "b(x)", "b(a)", "b" ]))
+		});
+
+		it("should allow sync, Promise yielding and async generators to be mixed", async function() {
+			const stream = newInflatingStream(withProps(
+				withObjectMode(),
+				compose(
+					function* (chunk) {
+						yield Promise.resolve(inflatedData(`${chunk}1`))
+					},
+					async function* (chunk) {
+						await delay(1)
+
+						yield [ inflatedData(`${chunk}2`), inflatedData(`${chunk}3`) ]
+					}
+				)
+			))
+
+			const output = await inflateAll(stream, [ "a", "b" ])
+
+			assertThat(output, equalTo([ "a12", "a13", "b12", "b13" ]))
+		});
+
+		it("should give each stage the status of the stream", async function() {
+			const statuses = []
+			const stream = newInflatingStream(withProps(
+				withObjectMode(),
+				withHighWaterMark(1),
+				compose(
+					function* (chunk) {
+						statuses.push(yield inflatedData(chunk))
+					},
+					map((chunk) => chunk)
+				)
+			))
+
+			await inflateAll(stream, [ "a", "b" ])
+
+			assertThat(statuses[0], hasProperty("full", true))
+		});
+
+		it("should take and batch values", async function() {
+			const stream = newInflatingStream(withProps(
+				withObjectMode(),
+				compose(take(5), batch(2))
+			))
+
+			const output = await inflateAll(stream, [ 1, 2, 3, 4, 5, 6, 7 ])
+
+			assertThat(output, equalTo([ [ 1, 2 ], [ 3, 4 ], [ 5 ] ]))
+		});
+
+		it("should keep the state of stages for each stream", async function() {
+			const options = withProps(withObjectMode(), compose(take(1)))
+
+			const first = await inflateAll(newInflatingStream(options), [ 1, 2 ])
+			const second = await inflateAll(newInflatingStream(options), [ 3, 4 ])
+
+			assertThat(first, equalTo([ 1 ]))
+			assertThat(second, equalTo([ 3 ]))
+		});
+	});
+
+	describe("workers", function() {
+		const WORKER_MODULE = path.join(__dirname, "fixtures", "worker-generators.js")
+
+		it("should inflate chunks in a worker", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withWorker({ module: WORKER_MODULE })
+			)))
+
+			const output = await inflateAll(stream, [ "a", "b" ])
+
+			assertThat(output, equalTo([ "a-0", "a-1", "a-2", "b-0", "b-1", "b-2", "inflated 2" ]))
+		});
+
+		it("should burst in each worker", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withConcurrency(2),
+				withWorker({ module: WORKER_MODULE, poolSize: 2 })
+			)))
+
+			const output = await inflateAll(stream, [ "a", "b", "c", "d" ])
+
+			assertThat(output.slice(0, 12), equalTo([
+				"a-0", "a-1", "a-2", "b-0", "b-1", "b-2", "c-0", "c-1", "c-2", "d-0", "d-1", "d-2"
+			]))
+			assertThat(output.slice(12).length, is(2))
+		});
+
+		it("should give the worker the status of the stream", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withHighWaterMark(1),
+				withWorker({ module: WORKER_MODULE, export: "statuses" })
+			)))
+
+			const output = await inflateAll(stream, [ "a" ])
+
+			assertThat(output, equalTo([ "a", "true" ]))
+		});
+
+		it("should push Buffers from a worker", async function() {
+			const stream = newInflatingStream({
+				...withWorker({ module: WORKER_MODULE, export: "buffers" }),
+				writableObjectMode: true
+			})
+
+			const output = Buffer.concat(await inflateAll(stream, [ "a" ]))
+
+			assertThat(output.toString(), is(`${"a".repeat(1024)}aa`))
+		});
+
+		it("should give errors thrown in a worker to the callback", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withWorker({ module: WORKER_MODULE, export: "failing" })
+			)))
+
+			await promiseThat(
+				inflateAll(stream, [ "a" ]),
+				isRejectedWith(hasProperty("message", "Can't inflate a"))
+			)
+		});
+
+		it("should not allow invalid worker options", function() {
+			assertThat(
+				() => newInflatingStream(withWorker({ module: WORKER_MODULE, poolSize: 0 })),
+				throws(instanceOf(TypeError))
+			)
+		});
+	});
+
+	describe("named outputs", function() {
+		const inflateWithAudit = function* (chunk) {
+			yield inflatedData(chunk)
+			yield { output: "audit", chunk: `audited ${chunk}` }
+		}
+
+		it("should push values to named outputs", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withInflate(inflateWithAudit)
+			)))
+
+			const [ audit, output ] = await Promise.all([
+				stream.output("audit").toArray(),
+				inflateAll(stream, [ "a", "b" ])
+			])
+
+			assertThat(output, equalTo([ "a", "b" ]))
+			assertThat(audit, equalTo([ "audited a", "audited b" ]))
+		});
+
+		it("should pause generators when a named output is full", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withHighWaterMark(1),
+				withInflate(inflateWithAudit)
+			)))
+
+			let finished = false
+			const output = inflateAll(stream, [ "a", "b", "c" ]).then((output) => {
+				finished = true
+
+				return output
+			})
+
+			await delay(20)
+
+			assertThat(finished, is(false))
+
+			const audit = await stream.output("audit").toArray()
+
+			assertThat(await output, equalTo([ "a", "b", "c" ]))
+			assertThat(audit, equalTo([ "audited a", "audited b", "audited c" ]))
+		});
+
+		it("should destroy named outputs when the stream is destroyed", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withInflate(inflateWithAudit)))
+			const audit = stream.output("audit")
+
+			await destroy(stream)
+
+			assertThat(audit.destroyed, is(true))
+		});
+	});
+
+	describe("overflowing", function() {
+		const CHUNKS = 20
+
+		let dir
+
+		beforeEach(function() {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), "overflow-test-"))
+		});
+
+		afterEach(function() {
+			fs.rmSync(dir, { recursive: true, force: true })
+		});
+
+		const overflowingStream = (overflow) =>
+			newInflatingStream(inflatingTransformOptions(withProps(
+				withHighWaterMark(100),
+				withOverflow({ dir, ...overflow }),
+				withInflate(function* (chunk) {
+					for (let i = 0; i < 10; i++) {
+						yield inflatedData(`${chunk}`.padStart(10, "0").repeat(5))
+					}
+				})
+			)))
+
+		// writeAll :: (InflatingTransform, Integer) -> ()
+		const writeAll = (stream, chunks) => {
+			// ignore backpressure
+			for (let i = 0; i < chunks; i++) {
+				stream.write(i)
+			}
+
+			stream.end()
+		}
+
+		it("should not pause generators when the Readable buffer is full", async function() {
+			const stream = overflowingStream({ memory: 1000, maxBytes: 100000 })
+
+			writeAll(stream, CHUNKS)
+			await delay(10)
+
+			assertThat(stream.writableLength, is(0))
+			assertThat(fs.readdirSync(dir).length, is(1))
+		});
+
+		it("should push overflowed values in order", async function() {
+			const stream = overflowingStream({ memory: 1000, maxBytes: 100000 })
+
+			writeAll(stream, CHUNKS)
+			await delay(10)
+
+			const output = (await stream.toArray()).join("")
+			const expected = Array.from({ length: CHUNKS }, (_, i) => `${i}`.padStart(10, "0").repeat(50)).join("")
+
+			assertThat(output, is(expected))
+			assertThat(fs.readdirSync(dir), equalTo([]))
+		});
+
+		it("should error when more than the maximum bytes have overflowed", async function() {
+			const stream = overflowingStream({ memory: 1000, maxBytes: 2000 })
+			const closed = untilClosed(stream)
+
+			writeAll(stream, CHUNKS)
+
+			await promiseThat(
+				stream.toArray(),
+				isRejectedWith(instanceOf(InflateOverflowError))
+			)
+
+			// the temporary file is removed before the stream closes.
+			await closed
+
+			assertThat(fs.readdirSync(dir), equalTo([]))
+		});
+
+		it("should error when the temporary file can't be created", async function() {
+			const stream = overflowingStream({ memory: 0, maxBytes: 100000, dir: path.join(dir, "missing") })
+
+			writeAll(stream, CHUNKS)
+
+			await promiseThat(
+				stream.toArray(),
+				isRejectedWith(hasProperty("code", "ENOENT"))
+			)
+		});
+
+		it("should remove the temporary file when destroyed", async function() {
+			const stream = overflowingStream({ memory: 0, maxBytes: 100000 })
+
+			writeAll(stream, CHUNKS)
+			await delay(10)
+			await destroy(stream)
+
+			assertThat(fs.readdirSync(dir), equalTo([]))
+		});
+
+		it("should not allow overflowing in object mode", function() {
+			assertThat(
+				() => newInflatingStream(withProps(withObjectMode(), withOverflow({ memory: 0, maxBytes: 1 }))),
+				throws(instanceOf(TypeError))
+			)
+		});
+	});
+
+	describe("rate limiting", function() {
+		it("should limit how many values are pushed", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withRateLimit({ items: 2, per: 50 }),
+				withInflate(function* (chunk) {
+					for (let i = 0; i < 6; i++) {
+						yield inflatedData(`${chunk}${i}`)
+					}
+				})
+			)))
+
+			const started = Date.now()
+			const output = await inflateAll(stream, [ "a" ])
+
+			assertThat(output.length, is(6))
+			assertThat(Date.now() - started, greaterThanOrEqualTo(90))
+			assertThat(stream.stats().inflate.rateLimitWaitMs, greaterThan(0))
+		});
+
+		it("should limit how many bytes are pushed", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withRateLimit({ bytes: 10, per: 50 }),
+				withInflate(function* (chunk) {
+					for (let i = 0; i < 4; i++) {
+						yield inflatedData(chunk.repeat(10))
+					}
+				})
+			)))
+
+			const started = Date.now()
+			const output = await collectData(stream, [ "a" ])
+
+			assertThat(output.join(""), is("a".repeat(40)))
+			assertThat(Date.now() - started, greaterThanOrEqualTo(140))
+		});
+
+		it("should push values larger than the burst", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withRateLimit({ bytes: 10, per: 10, burst: 5 }),
+				withInflate(function* (chunk) {
+					yield inflatedData(chunk.repeat(20))
+					yield inflatedData(chunk.repeat(20))
+				})
+			)))
+
+			const output = await collectData(stream, [ "a" ])
+
+			assertThat(output.join(""), is("a".repeat(40)))
+		});
+
+		it("should not allow an invalid rate limit", function() {
+			assertThat(
+				() => newInflatingStream(withRateLimit({ items: 1, bytes: 1, per: 10 })),
+				throws(instanceOf(TypeError))
+			)
+
+			assertThat(
+				() => newInflatingStream(withRateLimit({ items: 1 })),
+				throws(instanceOf(TypeError))
+			)
+		});
+	});
+
+	describe("windows", function() {
+		const windowBurst = function* ({ index, firstInputIndex, items }) {
+			yield inflatedData(`window ${index} from ${firstInputIndex} of ${items}`)
+		}
+
+		it("should burst a window every number of chunks", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withWindow({ items: 2 }),
+				withWindowBurst(windowBurst),
+				withInflate(function* (chunk) {
+					yield inflatedData(chunk)
+				}),
+				withBurst(function* () {
+					yield inflatedData("end")
+				})
+			)))
+
+			const output = await inflateAll(stream, [ "a", "b", "c" ])
+
+			assertThat(output, equalTo([
+				"a", "b", "window 0 from 0 of 2", "c", "window 1 from 2 of 1", "end"
+			]))
+		});
+
+		it("should burst a window when it has expired", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withWindow({ ms: 20 }),
+				withWindowBurst(windowBurst),
+				withInflate(function* (chunk) {
+					yield inflatedData(chunk)
+				})
+			)))
+
+			const [ output ] = await Promise.all([
+				stream.toArray(),
+				pipeline(async function* () {
+					yield "a"
+					yield "b"
+					await delay(40)
+					yield "c"
+				}, stream)
+			])
+
+			assertThat(output, equalTo([
+				"a", "b", "window 0 from 0 of 2", "c", "window 1 from 2 of 1"
+			]))
+		});
+
+		it("should burst a window after the chunks in it have been inflated concurrently", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withConcurrency(3),
+				withWindow({ items: 2 }),
+				withWindowBurst(windowBurst),
+				withInflate(async function* (n) {
+					await delay((5 - n) * 5)
+
+					yield inflatedData(`${n}`)
+				})
+			)))
+
+			const output = await inflateAll(stream, [ 1, 2, 3, 4 ])
+
+			assertThat(output, equalTo([
+				"1", "2", "window 0 from 0 of 2", "3", "4", "window 1 from 2 of 2"
+			]))
+		});
+
+		it("should use the window burst method", async function() {
+			const stream = new WindowCountingStream()
+
+			const output = await inflateAll(stream, [ "a", "b", "c" ])
+
+			assertThat(output, equalTo([ "a", "b", "2", "c", "1" ]))
+		});
+
+		it("should not allow an invalid window", function() {
+			assertThat(
+				() => newInflatingStream(withWindow({ items: 0 })),
+				throws(instanceOf(TypeError))
+			)
+		});
+	});
+
+	describe("checkpoints", function() {
+		const inflateThree = function* (chunk) {
+			yield inflatedData(`${chunk}-1`)
+			yield inflatedData(`${chunk}-2`)
+			yield inflatedData(`${chunk}-3`)
+		}
+
+		it("should emit a checkpoint when a chunk has been inflated", async function() {
+			const checkpoints = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withCheckpoints(),
+				withInflate(inflateThree)
+			)))
+
+			stream.on("checkpoint", (checkpoint) => checkpoints.push(checkpoint))
+
+			await inflateAll(stream, [ "a", "b" ])
+
+			assertThat(checkpoints, equalTo([
+				{ inputIndex: 0, outputOffset: 0 },
+				{ inputIndex: 1, outputOffset: 0 }
+			]))
+		});
+
+		it("should emit a checkpoint part way through a chunk when the buffer is full", async function() {
+			const checkpoints = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withHighWaterMark(1),
+				withCheckpoints(),
+				withInflate(inflateThree)
+			)))
+
+			stream.on("checkpoint", (checkpoint) => checkpoints.push(checkpoint))
+
+			await pipeline(Readable.from([ "a" ]), stream, new SlowObjectStream())
+
+			assertThat(checkpoints[0], allOf(
+				hasProperty("inputIndex", -1),
+				hasProperty("outputOffset", greaterThan(0))
+			))
+			assertThat(checkpoints[checkpoints.length - 1], equalTo({ inputIndex: 0, outputOffset: 0 }))
+		});
+
+		it("should only emit a checkpoint once the values before it have been read", async function() {
+			let read = 0
+			const checkpoints = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withHighWaterMark(1),
+				withCheckpoints(),
+				withInflate(inflateThree)
+			)))
+
+			// the values before a checkpoint, with three values for each chunk.
+			stream.on("checkpoint", ({ inputIndex, outputOffset }) =>
+				checkpoints.push({ before: (inputIndex + 1) * 3 + outputOffset, read }))
+
+			await pipeline(Readable.from([ "a", "b" ]), stream, new Writable({
+				objectMode: true,
+				highWaterMark: 1,
+				write(chunk, encoding, callback) {
+					read++
+
+					setTimeout(callback, 5)
+				}
+			}))
+
+			assertThat(checkpoints.length, greaterThan(2))
+			checkpoints.forEach(({ before, read }) => assertThat(before, lessThanOrEqualTo(read)))
+			assertThat(checkpoints[checkpoints.length - 1], equalTo({ before: 6, read: 6 }))
+		});
+
+		it("should emit checkpoints once overflowed values have been read", async function() {
+			const checkpoints = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withHighWaterMark(4),
+				withOverflow({ memory: 8, maxBytes: 1024 }),
+				withCheckpoints(),
+				withInflate(function* (chunk) {
+					yield inflatedData(`${chunk}1`)
+					yield inflatedData(`${chunk}2`)
+					yield inflatedData(`${chunk}3`)
+				})
+			)))
+
+			stream.on("checkpoint", (checkpoint) => checkpoints.push(checkpoint))
+
+			stream.end("a")
+			await delay(10)
+
+			assertThat(checkpoints, equalTo([]))
+
+			const output = await stream.toArray()
+
+			assertThat(output.join(""), equalTo("a1a2a3"))
+			assertThat(checkpoints[checkpoints.length - 1], equalTo({ inputIndex: 0, outputOffset: 0 }))
+		});
+
+		it("should emit checkpoints once coalesced values have been read", async function() {
+			const checkpoints = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withCoalesce({ items: 100 }),
+				withCheckpoints(),
+				withInflate(function* (chunk) {
+					yield inflatedData(`${chunk}a`)
+					yield inflatedData(`${chunk}b`)
+				})
+			)))
+
+			const output = []
+
+			stream.on("checkpoint", (checkpoint) => checkpoints.push(checkpoint))
+			stream.on("data", (data) => output.push(`${data}`))
+
+			stream.write("1")
+			stream.write("2")
+			await delay(10)
+
+			assertThat(checkpoints, equalTo([]))
+
+			stream.end()
+			await finished(stream)
+
+			assertThat(output.join(""), equalTo("1a1b2a2b"))
+			assertThat(checkpoints[checkpoints.length - 1], equalTo({ inputIndex: 1, outputOffset: 0 }))
+		});
+
+		it("should skip values pushed before the checkpoint when resuming", async function() {
+			const inflated = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withResumeFrom({ inputIndex: 0, outputOffset: 2 }),
+				withInflate(function* (chunk) {
+					inflated.push(chunk)
+
+					yield* inflateThree(chunk)
+				})
+			)))
+
+			const output = await inflateAll(stream, [ "a", "b", "c" ])
+
+			assertThat(inflated, equalTo([ "b", "c" ]))
+			assertThat(output, equalTo([ "b-3", "c-1", "c-2", "c-3" ]))
+		});
+
+		it("should resume from a checkpoint when inflating concurrently", async function() {
+			const checkpoints = []
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withConcurrency(2),
+				withCheckpoints(),
+				withResumeFrom({ inputIndex: -1, outputOffset: 1 }),
+				withInflate(inflateThree)
+			)))
+
+			stream.on("checkpoint", (checkpoint) => checkpoints.push(checkpoint))
+
+			const output = await inflateAll(stream, [ "a", "b" ])
+
+			assertThat(output, equalTo([ "a-2", "a-3", "b-1", "b-2", "b-3" ]))
+			assertThat(checkpoints[checkpoints.length - 1], equalTo({ inputIndex: 1, outputOffset: 0 }))
+		});
+
+		it("should not allow checkpoints when output is unordered", function() {
+			assertThat(
+				() => newInflatingStream(withProps(withCheckpoints(), withConcurrency(2), withOrdered(false))),
+				throws(instanceOf(TypeError))
+			)
+		});
+
+		it("should not allow resuming from an invalid checkpoint", function() {
+			assertThat(
+				() => newInflatingStream(withResumeFrom({ inputIndex: 0 })),
+				throws(instanceOf(TypeError))
+			)
+		});
+	});
+
+	describe("stats", function() {
+		it("should count data through the stream", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withHighWaterMark(1),
+				withInflate(function* (chunk) {
+					yield inflatedData(chunk.repeat(2))
+					yield inflatedData(chunk.repeat(3))
+				}),
+				withBurst(function* () {
+					yield inflatedData("end")
+				})
+			)))
+
+			await pipeline(Readable.from([ "a", "b" ]), stream, new SlowObjectStream())
+
+			const stats = stream.stats()
+
+			assertThat(stats, allOf(
+				hasProperty("chunksWritten", 2),
+				hasProperty("bytesIn", 2),
+				hasProperty("inflate", allOf(
+					hasProperty("valuesPushed", 4),
+					hasProperty("bytesOut", 10),
+					hasProperty("pauses", greaterThan(0)),
+					hasProperty("readyWaitMs", greaterThanOrEqualTo(stats.inflate.maxReadyWaitMs))
+				)),
+				hasProperty("burst", allOf(
+					hasProperty("valuesPushed", 1),
+					hasProperty("bytesOut", 3)
+				))
+			))
+		});
+
+		it("should count time waiting for promises", async function() {
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withInflate(function* (chunk) {
+					yield delay(10).then(() => inflatedData(chunk))
+				})
+			)))
+
+			const started = Date.now()
+
+			await inflateAll(stream, [ "a" ])
+
+			// timers aren't precise, so only check that the wait was counted, and not over counted.
+			assertThat(stream.stats().inflate.promiseWaitMs, allOf(greaterThan(0), lessThanOrEqualTo(Date.now() - started)))
+		});
+
+		it("should publish to diagnostics channel", async function() {
+			const messages = []
+			const onMessage = (message) => messages.push(message)
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withObjectMode(),
+				withInflate(function* (chunk) {
+					yield inflatedData(chunk)
+				})
+			)))
+
+			diagnosticsChannel.subscribe(ChannelName.PUSH, onMessage)
+
+			try {
+				await inflateAll(stream, [ "a", "bb" ])
+			}
+			finally {
+				diagnosticsChannel.unsubscribe(ChannelName.PUSH, onMessage)
+			}
+
+			assertThat(messages.filter((message) => message.stream === stream).map(({ chunkIndex, bytes }) => ({ chunkIndex, bytes })), equalTo([
+				{ chunkIndex: 0, bytes: 1 },
+				{ chunkIndex: 1, bytes: 2 }
+			]))
+		});
+	});
+
+	describe("destroying", function() {
+		it("should close generator waiting for ready when destroyed", async function() {
+			let closed = false
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withHighWaterMark(1),
+				withInflate(function* (accountNumber) {
+					try {
+						while (true) {
+							yield createAccountFromAccountNumber(accountNumber)
+						}
+					}
+					finally {
+						closed = true
+					}
+				})
+			)))
+
+			stream.write("1")
+			await destroy(stream)
+
+			assertThat("Generator not closed", closed, is(true))
+			assertThat("Ready listener not removed", stream.listenerCount("ready"), is(0))
+		});
+
+		it("should abort signal and close async generator when destroyed", async function() {
+			let closed = false
+			let signal
+			const stream = newInflatingStream(inflatingTransformOptions(withInflate(
+				async function* (accountNumber, encoding, context) {
+					signal = context.signal
+
+					try {
+						yield await untilAborted(context.signal)
+					}
+					finally {
+						closed = true
+					}
+				}
+			)))
+
+			stream.write("1")
+			await destroy(stream)
+			await new Promise(setImmediate)
+
+			assertThat("Signal not aborted", signal.aborted, is(true))
+			assertThat("Generator not closed", closed, is(true))
+		});
+
+		it("should pass signal to burst", async function() {
+			let signal
+			const stream = newInflatingStream(inflatingTransformOptions(withProps(
+				withInflate(inflateAccountNumber),
+				withBurst(async function* (context) {
+					signal = context.signal
+
+					yield await untilAborted(context.signal)
+				})
+			)))
+
+			stream.resume()
+			stream.end()
+			await delay(10)
+			await destroy(stream)
+
+			assertThat("Signal not aborted", signal.aborted, is(true))
+		});
+	});
+});
+
+describe("InflatingTransformStream", function() {
+	it("should enqueue values from a generator", async function() {
+		const stream = new InflatingTransformStream(withProps(
+			withInflate(function* (chunk) {
+				yield inflatedData(`${chunk}-1`)
+				yield inflatedData(`${chunk}-2`)
+			}),
+			withBurst(function* () {
+				yield inflatedData("end")
+			})
+		))
+
+		const output = await readAll(toReadableStream([ "a", "b" ]).pipeThrough(stream))
+
+		assertThat(output, equalTo([ "a-1", "a-2", "b-1", "b-2", "end" ]))
+	});
+
+	it("should enqueue values from yielded Promises and async generators", async function() {
+		const stream = new InflatingTransformStream(withInflate(async function* (chunk) {
+			yield Promise.resolve(inflatedData(`${chunk}-1`))
+
+			await delay(1)
+
+			yield inflatedData(`${chunk}-2`)
+		}))
+
+		const output = await readAll(toReadableStream([ "a", "b" ]).pipeThrough(stream))
+
+		assertThat(output, equalTo([ "a-1", "a-2", "b-1", "b-2" ]))
+	});
+
+	it("should enqueue values from nested sources", async function() {
+		const stream = new InflatingTransformStream(withInflate(function* (chunk) {
+			yield [ inflatedData(`${chunk}-1`), inflatedData(`${chunk}-2`) ]
+			yield toReadableStream([ `${chunk}-3` ])
+		}))
+
+		const output = await readAll(toReadableStream([ "a" ]).pipeThrough(stream))
+
+		assertThat(output, equalTo([ "a-1", "a-2", "a-3" ]))
+	});
+
+	it("should pause generators when the readable side is full", async function() {
+		const statuses = []
+		const stream = new InflatingTransformStream(
+			withInflate(function* (chunk) {
+				for (let i = 0; i < 5; i++) {
+					statuses.push(yield inflatedData(`${chunk}-${i}`))
+				}
+			}),
+			undefined,
+			{ highWaterMark: 2 }
+		)
+
+		const readable = toReadableStream([ "a" ]).pipeThrough(stream)
+
+		await delay(10)
+
+		assertThat(statuses.length, is(1))
+		assertThat(statuses[0].full, is(false))
+
+		const output = await readAll(readable)
+
+		assertThat(output.length, is(5))
+		assertThat(statuses[1], hasProperty("full", true))
+	});
+
+	it("should error the stream when a generator throws", async function() {
+		const stream = new InflatingTransformStream(withInflate(function* () {
+			throw new Error("Can't inflate")
+		}))
+
+		await promiseThat(
+			readAll(toReadableStream([ "a" ]).pipeThrough(stream)),
+			isRejectedWith(hasProperty("message", "Can't inflate"))
+		)
+	});
+
+	it("should abort the signal when the readable side is cancelled", async function() {
+		let signal
+		const stream = new InflatingTransformStream(withInflate(async function* (chunk, encoding, context) {
+			signal = context.signal
+
+			yield inflatedData(chunk)
+			yield untilAborted(signal)
+		}))
+
+		const reader = toReadableStream([ "a" ]).pipeThrough(stream).getReader()
+
+		await reader.read()
+		await reader.cancel()
+
+		assertThat(signal.aborted, is(true))
+	});
+
+	it("should error the readable side when the generator can't be created", async function() {
+		const stream = new InflatingTransformStream(withInflate(() => {
+			throw new Error("No generator")
+		}))
+
+		await promiseThat(readAll(toReadableStream([ "a" ]).pipeThrough(stream)), isRejectedWith(errorMatcher("No generator")))
+	});
+
+	it("should close nested sources when the readable side is cancelled", async function() {
+		let closed = false
+		const stream = new InflatingTransformStream(withInflate(function* (chunk) {
+			yield (function* () {
+				try {
+					yield inflatedData(`${chunk}-1`)
+					yield inflatedData(`${chunk}-2`)
+				}
+				finally {
+					closed = true
+				}
+			})()
+		}), undefined, { highWaterMark: 1 })
+
+		const reader = toReadableStream([ "a" ]).pipeThrough(stream).getReader()
+
+		await reader.read()
+		await reader.cancel()
+
+		assertThat(closed, is(true))
+	});
+
+	it("should close nested sources when enqueueing fails", async function() {
+		let closed = false
+		const stream = new InflatingTransformStream(withInflate(function* () {
+			yield (function* () {
+				try {
+					yield inflatedData("a")
+					yield Promise.reject(new Error("Bad value"))
+				}
+				finally {
+					closed = true
+				}
+			})()
+		}))
+
+		await promiseThat(readAll(toReadableStream([ "a" ]).pipeThrough(stream)), isRejectedWith(errorMatcher("Bad value")))
+
+		assertThat(closed, is(true))
+	});
+});
+
+describe("FramingInflatingTransform", function() {
+	it("should inflate lines split across chunks", async function() {
+		const stream = new FramingInflatingTransform(withProps(
+			withObjectModeOutput(),
+			withInflateFrame(function* (frame) {
+				yield inflatedData(frame.toString())
+			})
+		))
+
+		const output = await inflateAll(stream, [ "a\nb", "c\r\n", "\nd" ])
+
+		assertThat(output, equalTo([ "a", "bc", "", "d" ]))
+	});
+
+	it("should inflate the trailing frame before bursting", async function() {
+		const stream = new FramingInflatingTransform(withProps(
+			withObjectModeOutput(),
+			withFraming({ framing: Framing.DELIMITER, delimiter: "||" }),
+			withInflateFrame(function* (frame) {
+				yield inflatedData(frame.toString())
+			}),
+			withBurst(function* () {
+				yield inflatedData("end")
+				yield null
+			})
+		))
+
+		const output = await inflateAll(stream, [ "a|", "|b||c|", "d" ])
+
+		assertThat(output, equalTo([ "a", "b", "c|d", "end" ]))
+	});
+
+	it("should inflate length prefixed frames", async function() {
+		const stream = new FramingInflatingTransform(withProps(
+			withObjectModeOutput(),
+			withFraming({ framing: Framing.LENGTH_PREFIXED, lengthBytes: 2 }),
+			withInflateFrame(async function* (frame) {
+				yield inflatedData(frame.toString())
+			})
+		))
+
+		const bytes = Buffer.concat([ lengthPrefixed("abc", 2), lengthPrefixed("", 2), lengthPrefixed("de", 2) ])
+		const output = await inflateAll(stream, [ bytes.subarray(0, 1), bytes.subarray(1, 4), bytes.subarray(4) ])
+
+		assertThat(output, equalTo([ "abc", "", "de" ]))
+	});
+
+	it("should error when the stream ends with a partial length prefixed frame", async function() {
+		const stream = new FramingInflatingTransform(withProps(
+			withFraming({ framing: Framing.LENGTH_PREFIXED }),
+			withInflateFrame(function* () {})
+		))
+
+		await promiseThat(
+			inflateAll(stream, [ lengthPrefixed("abc").subarray(0, 5) ]),
+			isRejectedWith(errorMatcher("Ended with a partial frame of 5 bytes"))
+		)
+	});
+
+	it("should error when a frame is larger than the maxFrameSize", async function() {
+		const stream = new FramingInflatingTransform(withProps(
+			withFraming({ maxFrameSize: 3 }),
+			withInflateFrame(function* (frame) {
+				yield inflatedData(frame)
+			})
+		))
+
+		await promiseThat(
+			inflateAll(stream, [ "abc\nab", "cd" ]),
+			isRejectedWith(allOf(
+				instanceOf(InflateFrameSizeError),
+				hasProperty("size", 4),
+				hasProperty("maxFrameSize", 3)
+			))
+		)
+	});
+
+	it("should error as soon as a length prefix is larger than the maxFrameSize", async function() {
+		const stream = new FramingInflatingTransform(withProps(
+			withFraming({ framing: Framing.LENGTH_PREFIXED, maxFrameSize: 3 }),
+			withInflateFrame(function* () {})
+		))
+
+		await promiseThat(
+			inflateAll(stream, [ lengthPrefixed("abcd").subarray(0, 4) ]),
+			isRejectedWith(allOf(instanceOf(InflateFrameSizeError), hasProperty("size", 4)))
+		)
+	});
+
+	it("should keep frames in order when inflating chunks concurrently", async function() {
+		const stream = new FramingInflatingTransform(withProps(
+			withObjectModeOutput(),
+			withConcurrency(3),
+			withInflateFrame(async function* (frame) {
+				await delay(frame.length)
+
+				yield inflatedData(frame.toString())
+			})
+		))
+
+		const output = await inflateAll(stream, [ "aaaa\nb", "b\nc\n", "dd" ])
+
+		assertThat(output, equalTo([ "aaaa", "bb", "c", "dd" ]))
+	});
+
+	it("should validate framing options", function() {
+		assertThat(
+			() => new FramingInflatingTransform(withFraming({ framing: "csv" })),
+			throws(instanceOf(TypeError))
+		)
+
+		assertThat(
+			() => new FramingInflatingTransform(withFraming({ framing: Framing.DELIMITER })),
+			throws(instanceOf(TypeError))
+		)
+
+		assertThat(
+			() => new FramingInflatingTransform(withFraming({ framing: Framing.LENGTH_PREFIXED, lengthBytes: 3 })),
+			throws(instanceOf(TypeError))
+		)
+
+		assertThat(
+			() => new FramingInflatingTransform(withObjectMode()),
+			throws(instanceOf(TypeError))
+		)
+	});
+});
+
+describe("JsonInflatingTransform", function() {
+	it("should push the elements of an array split across chunks", async function() {
+		const stream = new JsonInflatingTransform()
+
+		const output = await inflateAll(stream, [ '[1, {"a": [2', ', "]"]}, "x\\"', 'y", tr', "ue]" ])
+
+		assertThat(output, equalTo([ 1, { a: [ 2, "]" ] }, "x\"y", true ]))
+	});
 
-const {
-	assertThat,
-	is,
-	isRejectedWith,
-	allOf,
-	instanceOf,
-	hasProperty,
-	equalTo,
-	promiseThat,
-	throws
-} = require("hamjest");
+	it("should push the elements of an array at a path", async function() {
+		const stream = new JsonInflatingTransform(withPath("/data/it~1ems"))
 
-const NUM_IDS = parseInt(process.env.NUM_IDS || 10)
+		const output = await inflateAll(stream, [
+			'{"meta": {"it/ems": [0]}, "data": {"count": 2, "it/ems": [{"id": 1}, ',
+			'{"id": 2}]}, "more": false}'
+		])
 
-describe("InflatingTransform", function() {
-	describe("streaming", function() {
-		const tests = [
-			{
-				desc: "should handle synchronous streaming",
-				factory: () => newPipeline(newAccountLookupStream())
-			},
-			{
-				desc: "should handle generator which yields Promises",
-				factory: () => newPipeline(
-					newInflatingStream(inflatingTransformOptions(withInflate(function* (accountNumber) {
-						yield Promise.resolve(createAccountFromAccountNumber(accountNumber))
-					})))
-				)
-			},
-			{
-				desc: "should handle async generator",
-				factory: () => newPipeline(
-					newInflatingStream(inflatingTransformOptions(withInflate(async function* (accountNumber) {
-						yield createAccountFromAccountNumber(accountNumber)
-					})))
-				)
-			}
-		]
+		assertThat(output, equalTo([ { id: 1 }, { id: 2 } ]))
+	});
 
-		tests.forEach((test) => {
-			it(test.desc, async function() {
-				const { count, readyUsed } = await test.factory();
+	it("should push each value in NDJSON", async function() {
+		const stream = new JsonInflatingTransform(withFormat(JsonFormat.NDJSON))
 
-				assertThat("Not all ids processed", count, is(NUM_IDS))
-				assertThat("Backpressure not used", readyUsed, is(true))
-			})
-		});
+		const output = await inflateAll(stream, [ '{"a": 1}\n[2]\n3', '4\n"s"\n\n5' ])
+
+		assertThat(output, equalTo([ { a: 1 }, [ 2 ], 34, "s", 5 ]))
 	});
 
-	describe("construction", function() {
-		it("should throw error if inflate is not implemented", async function() {
-			const result = newPipeline(newInflatingStream())
+	it("should push a trailing value without counting another chunk", async function() {
+		const stream = new JsonInflatingTransform(withFormat(JsonFormat.NDJSON))
 
-			await promiseThat(result, isRejectedWith(errorMatcher("Unimplemented")))
-		});
+		const output = await inflateAll(stream, [ "1\n", "2" ])
 
-		it("should pass inflate via constructor prop", async function() {
-			await newPipeline(
-				newInflatingStream(inflatingTransformOptions(withInflate(inflateAccountNumber)))
-			)
-		});
+		assertThat(output, equalTo([ 1, 2 ]))
+		assertThat(stream.stats().chunksWritten, is(2))
 	});
 
-	describe("errors", function() {
-		it("should handle error from generator when inflating", async function() {
-			const message = "Inflation error";
-			const result = newPipeline(
-				newInflatingStream(inflatingTransformOptions(withInflate(errorGenerator(message))))
-			)
+	it("should push null elements as the nullValue", async function() {
+		assertThat(
+			await inflateAll(new JsonInflatingTransform(), [ "[1, null, 2]" ]),
+			equalTo([ 1, JsonNull, 2 ])
+		)
 
-			await promiseThat(result, isRejectedWith(errorMatcher(message)));
-		});
+		assertThat(
+			await inflateAll(new JsonInflatingTransform({ nullValue: "none" }), [ "[1, null, 2]" ]),
+			equalTo([ 1, "none", 2 ])
+		)
+	});
 
-		it("should handle error from generator when flushing", async function() {
-			const message = "Flush error";
-			const result = newPipeline(
-				newInflatingStream(inflatingTransformOptions(withProps(
-					withInflate(inflateAccountNumber),
-					withBurst(errorGenerator(message))
-				)))
-			)
+	it("should error when a line in NDJSON has more than one value", async function() {
+		const stream = new JsonInflatingTransform(withFormat(JsonFormat.NDJSON))
 
-			await promiseThat(result, isRejectedWith(errorMatcher(message)));
-		});
+		await promiseThat(
+			inflateAll(stream, [ "1\n2 3\n" ]),
+			isRejectedWith(errorMatcher('Unexpected "3" at byte 4, in chunk 0'))
+		)
+	});
 
-		it("should not swallow error thrown in callback when inflating", function() {
-			const message = "Error in transform callback"
-			const stream = newInflatingStream(inflatingTransformOptions(withInflate(inflateAccountNumber)))
-			const callback = errorCallback(message);
+	it("should pause when the readable buffer is full", async function() {
+		const stream = new JsonInflatingTransform(withHighWaterMark(2))
+		const elements = Array.from({ length: 10 }, (_, i) => ({ id: i }))
 
-			assertThat(
-				() => stream._transform("1", "utf-8", callback.callback),
-				throws(errorMatcher(message))
-			)
+		const output = await inflateAll(stream, [ JSON.stringify(elements) ])
 
-			assertThat("Callback invoked too many times", callback.timesInvoked(), is(1))
-		});
+		assertThat(output, equalTo(elements))
+		assertThat(stream.stats().inflate.pauses, greaterThan(0))
+	});
 
-		it("should not swallow error thrown in callback when flushing", function() {
-			const message = "Error in flush callback"
-			const stream = newInflatingStream(inflatingTransformOptions(withInflate(inflateAccountNumber)))
-			const callback = errorCallback(message);
+	it("should report where the JSON is invalid", async function() {
+		const stream = new JsonInflatingTransform()
 
-			assertThat(
-				() => stream._flush(callback.callback),
-				throws(errorMatcher(message))
-			)
+		await promiseThat(
+			inflateAll(stream, [ "[1, 2,", " {]" ]),
+			isRejectedWith(allOf(
+				instanceOf(InflateJsonError),
+				hasProperty("message", 'Unexpected "]" at byte 8, in chunk 1'),
+				hasProperty("offset", 8),
+				hasProperty("inputIndex", 1)
+			))
+		)
+	});
 
-			assertThat("Callback invoked too many times", callback.timesInvoked(), is(1))
+	it("should report where an invalid element starts", async function() {
+		const stream = new JsonInflatingTransform(withFormat(JsonFormat.NDJSON))
+
+		await promiseThat(
+			inflateAll(stream, [ "1\n", '{"a": tru', 'e, "b": tru}\n' ]),
+			isRejectedWith(allOf(
+				instanceOf(InflateJsonError),
+				hasProperty("offset", 2),
+				hasProperty("inputIndex", 1)
+			))
+		)
+	});
+
+	it("should error when the JSON ends early", async function() {
+		const stream = new JsonInflatingTransform()
+
+		await promiseThat(
+			inflateAll(stream, [ "[1, 2" ]),
+			isRejectedWith(errorMatcher("Unexpected end of JSON at byte 5, in chunk 0"))
+		)
+	});
+
+	it("should error when there's no array at the path", async function() {
+		await promiseThat(
+			inflateAll(new JsonInflatingTransform(withPath("/items")), [ '{"items": {}}' ]),
+			isRejectedWith(errorMatcher('Expected an array at "/items" at byte 10, in chunk 0'))
+		)
+
+		await promiseThat(
+			inflateAll(new JsonInflatingTransform(withPath("/items")), [ '{"other": []}' ]),
+			isRejectedWith(errorMatcher('No array at "/items" at byte 13, in chunk 0'))
+		)
+	});
+
+	it("should validate options", function() {
+		assertThat(() => new JsonInflatingTransform(withFormat("csv")), throws(instanceOf(TypeError)))
+		assertThat(() => new JsonInflatingTransform(withPath("items")), throws(instanceOf(TypeError)))
+		assertThat(() => new JsonInflatingTransform(withConcurrency(2)), throws(instanceOf(TypeError)))
+		assertThat(() => new JsonInflatingTransform({ onError: "skip" }), throws(instanceOf(TypeError)))
+		assertThat(() => new JsonInflatingTransform({ nullValue: null }), throws(instanceOf(TypeError)))
+		assertThat(
+			() => new JsonInflatingTransform(withProps(withFormat(JsonFormat.NDJSON), withPath("/items"))),
+			throws(instanceOf(TypeError))
+		)
+	});
+});
+
+describe("DecompressingTransform", function() {
+	const text = Buffer.from("Lorem ipsum dolor sit amet. ".repeat(500))
+
+	const formats = [
+		{ desc: "gzip", compressed: zlib.gzipSync(text) },
+		{ desc: "deflate", compressed: zlib.deflateSync(text) },
+		{ desc: "brotli", compressed: zlib.brotliCompressSync(text) }
+	]
+
+	formats.forEach(({ desc, compressed }) => {
+		it(`should detect and decompress ${desc}`, async function() {
+			const stream = new DecompressingTransform()
+
+			const output = await inflateAll(stream, splitBytes(compressed, 5))
+
+			assertThat(Buffer.concat(output).equals(text), is(true))
 		});
+	})
+
+	it("should decompress concatenated gzip members", async function() {
+		const stream = new DecompressingTransform()
+		const compressed = Buffer.concat([ zlib.gzipSync(text.subarray(0, 1000)), zlib.gzipSync(text.subarray(1000)) ])
+
+		const output = await inflateAll(stream, splitBytes(compressed, 100))
+
+		assertThat(Buffer.concat(output).equals(text), is(true))
+	});
+
+	it("should decompress raw deflate", async function() {
+		const stream = new DecompressingTransform(withFormat(CompressionFormat.RAW))
+
+		const output = await inflateAll(stream, splitBytes(zlib.deflateRawSync(text), 100))
+
+		assertThat(Buffer.concat(output).equals(text), is(true))
+	});
+
+	it("should push slices of the highWaterMark", async function() {
+		const stream = new DecompressingTransform(withHighWaterMark(32))
+
+		const output = await collectData(stream, [ zlib.gzipSync(text) ])
+
+		assertThat(Buffer.concat(output).equals(text), is(true))
+		assertThat(Math.max(...output.map((chunk) => chunk.length)), is(32))
+	});
+
+	it("should pause decompressing when the readable buffer is full", async function() {
+		const stream = new DecompressingTransform(withHighWaterMark(32))
+
+		const output = await inflateAll(stream, [ zlib.gzipSync(text) ])
+
+		assertThat(Buffer.concat(output).equals(text), is(true))
+		assertThat(stream.stats().inflate.pauses, greaterThan(0))
+	});
+
+	it("should push the rest of the decompressed bytes before bursting", async function() {
+		const stream = new DecompressingTransform(withBurst(function* () {
+			yield inflatedData("end")
+			yield null
+		}))
+
+		const output = await inflateAll(stream, [ zlib.gzipSync(text) ])
+
+		assertThat(Buffer.concat(output).toString(), is(`${text}end`))
+		assertThat(stream.stats().chunksWritten, is(1))
+	});
+
+	it("should error when decompressing more than the maxOutputBytes", async function() {
+		const stream = new DecompressingTransform({ maxOutputBytes: 1000 })
+
+		await promiseThat(
+			inflateAll(stream, [ zlib.gzipSync(text) ]),
+			isRejectedWith(allOf(
+				instanceOf(InflateLimitError),
+				hasProperty("limit", "maxOutputBytes"),
+				hasProperty("max", 1000)
+			))
+		)
+	});
+
+	it("should error when decompressing more than the maxRatio", async function() {
+		const stream = new DecompressingTransform({ maxRatio: 10 })
+
+		await promiseThat(
+			inflateAll(stream, [ zlib.gzipSync(Buffer.alloc(100000)) ]),
+			isRejectedWith(allOf(instanceOf(InflateLimitError), hasProperty("limit", "maxRatio")))
+		)
+	});
+
+	it("should error when the compressed bytes are truncated", async function() {
+		const stream = new DecompressingTransform()
+
+		await promiseThat(
+			inflateAll(stream, [ zlib.gzipSync(text).subarray(0, 50) ]),
+			isRejectedWith(instanceOf(Error))
+		)
+	});
+
+	it("should error when only one byte is written", async function() {
+		const stream = new DecompressingTransform(withFormat(CompressionFormat.GZIP))
+
+		await promiseThat(
+			inflateAll(stream, [ zlib.gzipSync(text).subarray(0, 1) ]),
+			isRejectedWith(hasProperty("message", "unexpected end of file"))
+		)
+	});
+
+	it("should validate options", function() {
+		assertThat(() => new DecompressingTransform(withFormat("zip")), throws(instanceOf(TypeError)))
+		assertThat(() => new DecompressingTransform({ maxOutputBytes: 0 }), throws(instanceOf(TypeError)))
+		assertThat(() => new DecompressingTransform({ maxRatio: -1 }), throws(instanceOf(TypeError)))
+		assertThat(() => new DecompressingTransform(withConcurrency(2)), throws(instanceOf(TypeError)))
 	});
 });
 
@@ -165,6 +2307,53 @@ class CountingStream extends Writable {
 	}
 }
 
+class SlowObjectStream extends Writable {
+	constructor() {
+		super({
+			objectMode: true,
+			highWaterMark: 1
+		});
+	}
+
+	_write(chunk, encoding, callback) {
+		setTimeout(callback, 1);
+	}
+}
+
+/*
+ * Records when values are pushed after `push` has returned false, but before `_read` is called.
+ */
+class PushCountingStream extends InflatingTransform {
+	constructor(opts) {
+		super(opts);
+
+		this.full = false
+		this.pushed = 0
+		this.pushedWhenFull = 0
+	}
+
+	push(chunk, encoding) {
+		if (chunk !== null) {
+			this.pushed++
+
+			if (this.full) {
+				this.pushedWhenFull++
+			}
+		}
+
+		const more = super.push(chunk, encoding)
+		this.full = !more
+
+		return more
+	}
+
+	_read(size) {
+		this.full = false
+
+		super._read(size)
+	}
+}
+
 /*
  * Generates fake account data to test the backpressure.
  */
@@ -181,6 +2370,23 @@ class AccountLookupStream extends InflatingTransform {
 	}
 }
 
+/*
+ * Counts the chunks in each window.
+ */
+class WindowCountingStream extends InflatingTransform {
+	constructor() {
+		super(inflatingTransformOptions(withProps(withObjectMode(), withWindow({ items: 2 }))));
+	}
+
+	* _inflate(chunk, encoding) {
+		yield inflatedData(chunk)
+	}
+
+	* _windowBurst({ items }) {
+		yield inflatedData(`${items}`)
+	}
+}
+
 function* inflateAccountNumber(accountNumber) {
 	yield createAccountFromAccountNumber(accountNumber)
 }
@@ -243,6 +2449,111 @@ const withInflate = (fn) => ({
 	inflate: fn
 })
 
+// withConcurrency :: Integer -> Object
+const withConcurrency = (concurrency) => ({
+	concurrency
+})
+
+// withWorker :: WorkerOptions -> Object
+const withWorker = (worker) => ({
+	worker
+})
+
+// withOverflow :: OverflowOptions -> Object
+const withOverflow = (overflow) => ({
+	overflow
+})
+
+// withRateLimit :: RateLimitOptions -> Object
+const withRateLimit = (rateLimit) => ({
+	rateLimit
+})
+
+// withWindow :: WindowOptions -> Object
+const withWindow = (window) => ({
+	window
+})
+
+// withWindowBurst :: WindowBurstingGenerator -> Object
+const withWindowBurst = (fn) => ({
+	windowBurst: fn
+})
+
+// withCheckpoints :: () -> Object
+const withCheckpoints = () => ({
+	checkpoints: true
+})
+
+// withResumeFrom :: Checkpoint -> Object
+const withResumeFrom = (resumeFrom) => ({
+	resumeFrom
+})
+
+// withLineage :: () -> Object
+const withLineage = () => ({
+	lineage: true
+})
+
+// withWatchdog :: WatchdogOptions -> Object
+const withWatchdog = (watchdog) => ({
+	watchdog
+})
+
+// withOnError :: (ErrorPolicy|ErrorPolicyOptions) -> Object
+const withOnError = (onError) => ({
+	onError
+})
+
+// withCoalesce :: CoalesceOptions -> Object
+const withCoalesce = (coalesce) => ({
+	coalesce
+})
+
+// withMaxChunkSize :: (Integer|Boolean) -> Object
+const withMaxChunkSize = (maxChunkSize) => ({
+	maxChunkSize
+})
+
+// withInflateFrame :: FrameInflatingGenerator -> Object
+const withInflateFrame = (inflateFrame) => ({
+	inflateFrame
+})
+
+// withFraming :: Object -> Object
+const withFraming = (framing) => ({
+	...framing
+})
+
+// withObjectModeOutput :: () -> Object
+const withObjectModeOutput = () => ({
+	readableObjectMode: true
+})
+
+// withFormat :: JsonFormat -> Object
+const withFormat = (format) => ({
+	format
+})
+
+// withPath :: String -> Object
+const withPath = (path) => ({
+	path
+})
+
+// withOrdered :: Boolean -> Object
+const withOrdered = (ordered) => ({
+	ordered
+})
+
+// withObjectMode :: () -> Object
+const withObjectMode = () => ({
+	objectMode: true
+})
+
+// withHighWaterMark :: Integer -> Object
+const withHighWaterMark = (highWaterMark) => ({
+	highWaterMark
+})
+
 // withProps :: Object... -> Object
 const withProps = (...props) =>
 	props.reduce(
@@ -250,6 +2561,97 @@ const withProps = (...props) =>
 		{}
 	)
 
+// inflateAll :: (InflatingTransform, [a]) -> Promise Error [b]
+const inflateAll = async (stream, chunks) => {
+	const [ output ] = await Promise.all([
+		stream.toArray(),
+		pipeline(Readable.from(chunks), stream)
+	])
+
+	return output
+}
+
+// toAsyncIterable :: [a] -> AsyncIterable a
+const toAsyncIterable = async function* (values) {
+	yield* values
+}
+
+// collectData :: (InflatingTransform, [a]) -> Promise Error [b]
+const collectData = async (stream, chunks) => {
+	const output = []
+
+	stream.on("data", (data) => output.push(data))
+	await pipeline(Readable.from(chunks), stream)
+
+	return output
+}
+
+// toReadableStream :: [a] -> ReadableStream a
+const toReadableStream = (chunks) =>
+	new ReadableStream({
+		start(controller) {
+			chunks.forEach((chunk) => controller.enqueue(chunk))
+			controller.close()
+		}
+	})
+
+// readAll :: ReadableStream a -> Promise Error [a]
+const readAll = async (readable) => {
+	const output = []
+
+	for await (const chunk of readable) {
+		output.push(chunk)
+	}
+
+	return output
+}
+
+// inflatedData :: a -> InflatedData a
+const inflatedData = (chunk) => ({
+	chunk
+})
+
+// lengthPrefixed :: (String, Integer?) -> Buffer
+const lengthPrefixed = (frame, lengthBytes = 4) => {
+	const bytes = Buffer.from(frame)
+	const prefix = Buffer.alloc(lengthBytes)
+
+	prefix.writeUIntBE(bytes.length, 0, lengthBytes)
+
+	return Buffer.concat([ prefix, bytes ])
+}
+
+// splitBytes :: (Buffer, Integer) -> [Buffer]
+const splitBytes = (bytes, size) => {
+	const chunks = []
+
+	for (let start = 0; start < bytes.length; start += size) {
+		chunks.push(bytes.subarray(start, start + size))
+	}
+
+	return chunks
+}
+
+// delay :: Integer -> Promise ()
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// destroy :: Stream -> Promise ()
+const destroy = (stream) =>
+	new Promise((resolve) => {
+		stream.once("close", resolve)
+		stream.destroy()
+	})
+
+// untilClosed :: Stream -> Promise ()
+const untilClosed = (stream) =>
+	new Promise((resolve) => stream.once("close", resolve))
+
+// untilAborted :: AbortSignal -> Promise Error a
+const untilAborted = (signal) =>
+	new Promise((resolve, reject) => {
+		signal.addEventListener("abort", () => reject(signal.reason), { once: true })
+	})
+
 // createAccountFromAccountNumber :: String -> InflatedData String
 const createAccountFromAccountNumber = (accountNumber) => ({
 	chunk: JSON.stringify(account(accountNumber)),
@@ -0,0 +1,156 @@
+const { Readable } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+
+const InflatingTransform = require("../index");
+const {
+	ControllableConsumer,
+	Scheduler,
+	record,
+	assertPausedAfter,
+	assertResumedOnlyAfterReady
+} = require("../testing");
+
+const {
+	assertThat,
+	is,
+	equalTo,
+	hasProperty,
+	promiseThat,
+	isRejectedWith,
+	throws,
+	instanceOf
+} = require("hamjest");
+
+describe("testing", function() {
+	describe("ControllableConsumer", function() {
+		it("should only consume chunks when read", async function() {
+			const consumer = new ControllableConsumer()
+			const stream = newStream(inflateThree)
+			const piped = pipeline(Readable.from([ "a" ]), stream, consumer)
+
+			await settle()
+
+			assertThat(consumer.chunks, equalTo([]))
+			assertThat(await consumer.read(2), equalTo([ "a-0", "a-1" ]))
+			assertThat(await consumer.readAll(), equalTo([ "a-0", "a-1", "a-2" ]))
+
+			await piped
+		});
+
+		it("should stop reading when the stream finishes", async function() {
+			const consumer = new ControllableConsumer()
+			const piped = pipeline(Readable.from([ "a" ]), newStream(inflateThree), consumer)
+
+			assertThat(await consumer.read(10), equalTo([ "a-0", "a-1", "a-2" ]))
+
+			await piped
+		});
+	});
+
+	describe("Scheduler", function() {
+		it("should settle Promises in order when told to", async function() {
+			const scheduler = new Scheduler()
+			const consumer = new ControllableConsumer()
+			const stream = newStream(function* (chunk) {
+				yield scheduler.defer({ chunk: `${chunk}-0` })
+				yield scheduler.defer({ chunk: `${chunk}-1` })
+			})
+
+			const piped = pipeline(Readable.from([ "a" ]), stream, consumer)
+			const read = consumer.readAll()
+
+			await settle()
+
+			assertThat(scheduler.pending, is(1))
+
+			await scheduler.resolveNext()
+
+			assertThat(consumer.chunks, equalTo([ "a-0" ]))
+
+			await scheduler.resolveAll()
+			await piped
+
+			assertThat(await read, equalTo([ "a-0", "a-1" ]))
+		});
+
+		it("should reject Promises when told to", async function() {
+			const scheduler = new Scheduler()
+			const stream = newStream(function* () {
+				yield scheduler.defer({ chunk: "a" })
+			})
+
+			const piped = promiseThat(
+				pipeline(Readable.from([ "a" ]), stream, new ControllableConsumer()),
+				isRejectedWith(hasProperty("message", "Can't resolve"))
+			)
+
+			await settle()
+			await scheduler.rejectNext(new Error("Can't resolve"))
+			await piped
+		});
+
+		it("should throw when no Promises are pending", function() {
+			assertThat(() => new Scheduler().resolveNext(), throws(instanceOf(Error)))
+		});
+	});
+
+	describe("record", function() {
+		it("should record callbacks, pushes and ready events in order", async function() {
+			const consumer = new ControllableConsumer()
+			const stream = newStream(inflateThree, 2)
+			const recording = record(stream)
+			const piped = pipeline(Readable.from([ "a" ]), stream, consumer)
+
+			await settle()
+
+			// the first value is held by the consumer, and the next two fill the buffer.
+			assertThat(recording.events.map(({ type }) => type), equalTo([ "transform", "push", "push", "push" ]))
+
+			await consumer.readAll()
+			await piped
+
+			assertThat(recording.events.map(({ type }) => type).slice(0, 6), equalTo([
+				"transform", "push", "push", "push", "ready", "callback"
+			]))
+		});
+
+		it("should assert when the stream paused", async function() {
+			const consumer = new ControllableConsumer()
+			const stream = newStream(inflateThree, 2)
+			const recording = record(stream)
+			const piped = pipeline(Readable.from([ "a", "b" ]), stream, consumer)
+
+			await settle()
+			await consumer.readAll()
+			await piped
+
+			assertPausedAfter(recording, 3)
+			assertThat(() => assertPausedAfter(recording, 2), throws(instanceOf(Error)))
+		});
+
+		it("should assert that nothing was pushed until the stream was ready", function() {
+			const recording = {
+				events: [
+					{ type: "push", chunk: "a", full: true },
+					{ type: "push", chunk: "b", full: false }
+				]
+			}
+
+			assertThat(() => assertResumedOnlyAfterReady(recording), throws(instanceOf(Error)))
+		});
+	});
+});
+
+// inflateThree :: String -> Generator InflatedData
+function* inflateThree(chunk) {
+	for (let i = 0; i < 3; i++) {
+		yield { chunk: `${chunk}-${i}` }
+	}
+}
+
+// newStream :: (InflatingGenerator, Integer?) -> InflatingTransform
+const newStream = (inflate, highWaterMark = 16) =>
+	new InflatingTransform({ objectMode: true, highWaterMark, inflate })
+
+// settle :: () -> Promise ()
+const settle = () => new Promise((resolve) => setImmediate(resolve))
@@ -0,0 +1,307 @@
+const { AssertionError } = require("node:assert")
+const { Writable } = require("node:stream")
+
+/*
+ * Helpers for testing how an InflatingTransform pauses and resumes.
+ */
+
+/**
+ * @typedef {Object} RecordedEvent Something that happened to a recorded stream.
+ * @property {"transform"|"callback"|"flush"|"flushCallback"|"push"|"ready"} type
+ * @property {any} [chunk] The chunk written, for transform and callback events, or the chunk pushed.
+ * @property {Error} [error] The error given to a callback.
+ * @property {boolean} [full] Whether pushing the chunk filled the Readable buffer.
+ */
+
+/**
+ * A Writable that only consumes chunks when told to.
+ *
+ * Chunks piped to the consumer are held until `read` allows them to be consumed, so the stream
+ * being read from fills up and has to pause. As the consumer has a `highWaterMark` of one, it
+ * holds at most one chunk that hasn't been consumed.
+ */
+class ControllableConsumer extends Writable {
+	constructor() {
+		super({ objectMode: true, highWaterMark: 1 })
+
+		/** The chunks that have been consumed. */
+		this.chunks = []
+
+		this._allowed = 0
+		this._pending = null
+		this._consumed = null
+
+		this.once("finish", () => this._settle())
+	}
+
+	/**
+	 * Consumes chunks.
+	 *
+	 * Wait for the chunks to be consumed before reading again.
+	 *
+	 * @param {number} [n=1] How many chunks to consume.
+	 * @returns {Promise<any[]>} The chunks consumed, once they have been consumed or the stream has finished.
+	 */
+	read(n = 1) {
+		const start = this.chunks.length
+
+		this._allowed += n
+
+		const consumed = new Promise((resolve) => {
+			this._consumed = () => resolve(this.chunks.slice(start))
+		})
+
+		this._consumePending()
+
+		if (this.writableFinished) {
+			this._settle()
+		}
+
+		return consumed
+	}
+
+	/**
+	 * Consumes every chunk until the stream finishes.
+	 *
+	 * @returns {Promise<any[]>} Every chunk consumed.
+	 */
+	async readAll() {
+		await this.read(Infinity)
+
+		return this.chunks
+	}
+
+	/**
+	 * @override
+	 */
+	_write(chunk, encoding, callback) {
+		this._pending = { chunk, callback }
+
+		this._consumePending()
+	}
+
+	/**
+	 * @private
+	 */
+	_consumePending() {
+		if (this._pending === null || this._allowed === 0) {
+			return
+		}
+
+		const { chunk, callback } = this._pending
+
+		this._pending = null
+		this._allowed--
+		this.chunks.push(chunk)
+
+		if (this._allowed === 0) {
+			this._settle()
+		}
+
+		callback()
+	}
+
+	/**
+	 * @private
+	 */
+	_settle() {
+		const consumed = this._consumed
+		this._consumed = null
+
+		if (consumed) {
+			consumed()
+		}
+	}
+}
+
+/**
+ * Creates Promises for generators to yield, which are only settled when the test says so.
+ *
+ * Promises are settled in the order they were created. Settling waits for the stream to react
+ * before resolving, so that a test can make assertions straight after.
+ */
+class Scheduler {
+	constructor() {
+		/** @type {{ value: any, resolve: (value: any) => void, reject: (err: Error) => void }[]} */
+		this._deferred = []
+	}
+
+	/**
+	 * @returns {number} How many Promises are waiting to be settled.
+	 */
+	get pending() {
+		return this._deferred.length
+	}
+
+	/**
+	 * @param {any} value What to resolve the Promise with.
+	 * @returns {Promise<any>} A Promise to yield.
+	 */
+	defer(value) {
+		return new Promise((resolve, reject) => this._deferred.push({ value, resolve, reject }))
+	}
+
+	/**
+	 * Resolves the oldest pending Promise.
+	 *
+	 * @returns {Promise<void>} Resolves once the stream has reacted.
+	 */
+	resolveNext() {
+		const deferred = this._next()
+
+		deferred.resolve(deferred.value)
+
+		return settled()
+	}
+
+	/**
+	 * Rejects the oldest pending Promise.
+	 *
+	 * @param {Error} err
+	 * @returns {Promise<void>} Resolves once the stream has reacted.
+	 */
+	rejectNext(err) {
+		this._next().reject(err)
+
+		return settled()
+	}
+
+	/**
+	 * Resolves every pending Promise, including any created while resolving.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async resolveAll() {
+		while (this.pending > 0) {
+			await this.resolveNext()
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_next() {
+		if (this._deferred.length === 0) {
+			throw new Error("No Promises are pending")
+		}
+
+		return this._deferred.shift()
+	}
+}
+
+/**
+ * Records the calls to `_transform` and `_flush`, their callbacks, pushes and `ready` events of
+ * a stream, in the order they happened.
+ *
+ * Should be called before anything is written to the stream.
+ *
+ * @param {InflatingTransform} stream
+ * @returns {{ events: RecordedEvent[] }}
+ */
+const record = (stream) => {
+	/** @type {RecordedEvent[]} */
+	const events = []
+	const { _transform, _flush, push } = stream
+
+	stream._transform = function(chunk, encoding, callback) {
+		events.push({ type: "transform", chunk })
+
+		return _transform.call(this, chunk, encoding, (err) => {
+			events.push({ type: "callback", chunk, error: err })
+
+			callback(err)
+		})
+	}
+
+	stream._flush = function(callback) {
+		events.push({ type: "flush" })
+
+		return _flush.call(this, (err) => {
+			events.push({ type: "flushCallback", error: err })
+
+			callback(err)
+		})
+	}
+
+	stream.push = function(chunk, encoding) {
+		const more = push.call(this, chunk, encoding)
+
+		events.push({ type: "push", chunk, full: !more })
+
+		return more
+	}
+
+	// generators wait on ready with listeners added later, so this records ready before they resume.
+	stream.on("ready", () => events.push({ type: "ready" }))
+
+	return { events }
+}
+
+/**
+ * Asserts that the stream was paused after a number of pushes, and wasn't pushed to again until
+ * it was ready.
+ *
+ * @param {{ events: RecordedEvent[] }} recording
+ * @param {number} k How many values should have been pushed when the stream paused.
+ * @throws {AssertionError}
+ */
+const assertPausedAfter = (recording, k) => {
+	const pushes = recording.events.filter(isPush)
+	const paused = pushes.findIndex(({ full }) => full)
+
+	if (paused + 1 !== k) {
+		throw new AssertionError({
+			message: paused === -1
+				? `Expected to pause after ${k} pushes, but never paused`
+				: `Expected to pause after ${k} pushes, but paused after ${paused + 1}`,
+			actual: paused + 1,
+			expected: k,
+			operator: "assertPausedAfter"
+		})
+	}
+
+	assertResumedOnlyAfterReady(recording)
+}
+
+/**
+ * Asserts that whenever a push filled the Readable buffer, nothing else was pushed until the
+ * `ready` event.
+ *
+ * @param {{ events: RecordedEvent[] }} recording
+ * @throws {AssertionError}
+ */
+const assertResumedOnlyAfterReady = ({ events }) => {
+	let full = false
+
+	events.forEach((event, index) => {
+		if (event.type === "ready") {
+			full = false
+		}
+
+		if (isPush(event)) {
+			if (full) {
+				throw new AssertionError({
+					message: `Expected no push until the stream was ready, but pushed at event ${index}`,
+					actual: event,
+					operator: "assertResumedOnlyAfterReady"
+				})
+			}
+
+			full = event.full
+		}
+	})
+}
+
+// isPush :: RecordedEvent -> Boolean
+const isPush = (event) => event.type === "push" && event.chunk !== null
+
+// settled :: () -> Promise ()
+const settled = () => new Promise((resolve) => setImmediate(resolve))
+
+module.exports = {
+	ControllableConsumer,
+	Scheduler,
+	record,
+	assertPausedAfter,
+	assertResumedOnlyAfterReady
+}
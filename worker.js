@@ -0,0 +1,157 @@
+const { Readable } = require("node:stream")
+const { parentPort, workerData } = require("node:worker_threads")
+
+/*
+ * Runs the generators from a module for an InflatingTransform in a worker thread.
+ *
+ * The thread runs one generator at a time. Each yielded value is posted to the main thread,
+ * and the generator isn't resumed until the main thread acknowledges the value with the
+ * YieldStatus from pushing it. So when the stream is paused, so is the generator.
+ */
+
+const exported = workerData.export
+	? require(workerData.module)[workerData.export]
+	: require(workerData.module)
+
+/**
+ * The generator being run.
+ *
+ * @type {{ generator: Generator|AsyncGenerator, controller: AbortController, resume: ((message: Object) => void)|null, cancelled: boolean }|null}
+ */
+let running = null
+
+parentPort.on("message", (message) => {
+	switch (message.type) {
+		case "inflate":
+			return run(exported.inflate, [ toBuffer(message.chunk), message.encoding ])
+
+		case "burst":
+			return run(exported.burst, [])
+
+		case "ack":
+		case "cancel":
+			return resume(message)
+	}
+})
+
+/**
+ * Posts the values from a generator to the main thread.
+ *
+ * @param {Function|undefined} fn The generator function
+ * @param {any[]} args
+ */
+const run = async (fn, args) => {
+	if (typeof fn !== "function") {
+		return parentPort.postMessage({ type: "done" })
+	}
+
+	const controller = new AbortController()
+	const generator = fn.call(exported, ...args, { signal: controller.signal })
+	const task = { generator, controller, resume: null, cancelled: false }
+
+	running = task
+
+	try {
+		let status
+
+		for (let result = await generator.next(); !result.done; result = await generator.next(status)) {
+			for await (const value of values(await result.value)) {
+				if (!task.cancelled) {
+					status = await post(task, value)
+				}
+
+				if (task.cancelled) {
+					await generator.return()
+
+					return parentPort.postMessage({ type: "done" })
+				}
+			}
+		}
+
+		parentPort.postMessage({ type: "done" })
+	}
+	catch (error) {
+		parentPort.postMessage({ type: "error", error })
+	}
+	finally {
+		running = null
+	}
+}
+
+/**
+ * Posts a value, and waits for the main thread to acknowledge it.
+ *
+ * @param {Object} task
+ * @param {InflatedData|null} value
+ * @returns {Promise<YieldStatus|undefined>}
+ */
+const post = (task, value) =>
+	new Promise((resolve) => {
+		task.resume = (message) => {
+			task.resume = null
+			task.cancelled = message.type === "cancel"
+
+			resolve(message.status)
+		}
+
+		parentPort.postMessage({ type: "value", value }, transferList(value))
+	})
+
+/**
+ * @param {Object} message An ack or cancel message.
+ */
+const resume = (message) => {
+	if (running === null) {
+		return
+	}
+
+	if (message.type === "cancel") {
+		running.controller.abort()
+	}
+
+	if (running.resume) {
+		running.resume(message)
+	}
+	else if (message.type === "cancel") {
+		// the generator is waiting on something else, so stop once it next yields.
+		running.cancelled = true
+	}
+}
+
+/**
+ * Flattens a yielded value into the values to post.
+ *
+ * @param {InflatedData|NestedSource|null} value
+ * @returns {AsyncIterable<InflatedData|null>}
+ */
+async function* values(value) {
+	if (value instanceof Readable) {
+		for await (const chunk of value) {
+			yield { chunk }
+		}
+	}
+	else if (value !== null && typeof value === "object" &&
+			(typeof value[Symbol.asyncIterator] === "function" || typeof value[Symbol.iterator] === "function")) {
+		yield* value
+	}
+	else {
+		yield value
+	}
+}
+
+// transferList :: InflatedData -> [ArrayBuffer]
+const transferList = (value) => {
+	const chunk = value && value.chunk
+
+	// only a view of a whole ArrayBuffer can be transferred, as pooled Buffers share theirs.
+	return ArrayBuffer.isView(chunk) && chunk.buffer instanceof ArrayBuffer &&
+		chunk.byteOffset === 0 && chunk.byteLength === chunk.buffer.byteLength
+		? [ chunk.buffer ]
+		: []
+}
+
+// toBuffer :: a -> a
+const toBuffer = (chunk) =>
+	chunk instanceof Uint8Array && !Buffer.isBuffer(chunk)
+		? Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+		: chunk